@@ -0,0 +1,30 @@
+/**
+ * Example module for testing constructor arguments, constructor errors and several instances
+ */
+
+export class Account {
+  constructor(owner, balance = 0) {
+    if (!owner) {
+      throw new TypeError("An account needs an owner");
+    }
+    if (balance < 0) {
+      throw new RangeError(`Opening balance cannot be negative: ${balance}`);
+    }
+    this.owner = owner;
+    this.balance = balance;
+  }
+
+  deposit(amount) {
+    this.balance += amount;
+    return this.balance;
+  }
+
+  transferTo(other, amount) {
+    if (amount > this.balance) {
+      throw new Error(`Insufficient funds: ${this.balance} < ${amount}`);
+    }
+    this.balance -= amount;
+    other.deposit(amount);
+    return this.balance;
+  }
+}
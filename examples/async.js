@@ -0,0 +1,56 @@
+/**
+ * Example async module for testing promise-returning functions and methods
+ */
+
+export const fetchUserName = async (id, api) => {
+  const user = await api(`/users/${id}`);
+  return user.name;
+};
+
+export const loadConfig = async (loader) => {
+  try {
+    return await loader();
+  } catch (error) {
+    throw new Error(`Config unavailable: ${error.message}`);
+  }
+};
+
+export const delayedDouble = (value) =>
+  new Promise((resolve) => setTimeout(() => resolve(value * 2), 1));
+
+export const requirePositive = async (value) => {
+  if (value <= 0) {
+    throw new Error('Value must be positive');
+  }
+  return value;
+};
+
+export class UserRepository {
+  constructor() {
+    this.api = null;
+    this.cache = {};
+  }
+
+  use(api) {
+    this.api = api;
+  }
+
+  async find(id) {
+    if (!this.cache[id]) {
+      this.cache[id] = await this.api(`/users/${id}`);
+    }
+    return this.cache[id];
+  }
+
+  async remove(id) {
+    if (!this.cache[id]) {
+      throw new Error(`User ${id} not loaded`);
+    }
+    delete this.cache[id];
+    return true;
+  }
+
+  async size() {
+    return Object.keys(this.cache).length;
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Example module for testing mocks that invoke the callbacks passed to them
+ */
+
+export const readConfig = (path, fs) =>
+  new Promise((resolve, reject) => {
+    fs.readFile(path, "utf8", (error, data) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(JSON.parse(data));
+      }
+    });
+  });
+
+export const runMiddleware = (request, middleware) => {
+  const visited = [];
+  middleware(request, () => visited.push("next"));
+  visited.push("done");
+  return visited;
+};
+
+export const subscribeOnce = (emitter, event) => {
+  const received = [];
+  emitter.once(event, (value) => received.push(value));
+  return received;
+};
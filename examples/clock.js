@@ -0,0 +1,29 @@
+/**
+ * Example module for testing time-dependent code with a controlled clock
+ */
+
+export const isExpired = (expiresAt) =>
+  Date.now() >= new Date(expiresAt).getTime();
+
+export const stampAfter = async (ms) => {
+  await new Promise((resolve) => setTimeout(resolve, ms));
+  return new Date().toISOString();
+};
+
+export class AutoSaver {
+  constructor(delay) {
+    this.delay = delay;
+    this.saved = null;
+    this.saveCount = 0;
+    this.timer = null;
+  }
+
+  change(value) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.saved = value;
+      this.saveCount++;
+      this.savedAt = new Date().toISOString();
+    }, this.delay);
+  }
+}
@@ -0,0 +1,13 @@
+/**
+ * Example data access module that is replaced with module mocks in tests
+ */
+
+export const query = async (sql, params) => {
+  throw new Error(`No database connection for: ${sql} ${JSON.stringify(params)}`);
+};
+
+export const TABLE_PREFIX = 'app_';
+
+export const audit = (message) => {
+  throw new Error(`Audit log unavailable: ${message}`);
+};
@@ -0,0 +1,23 @@
+/**
+ * Example module for testing parameterised cases with each tables
+ */
+
+export const divide = (a, b) => {
+  if (b === 0) {
+    throw new Error(`Cannot divide ${a} by zero`);
+  }
+  return a / b;
+};
+
+export const greet = (user) => `Hello, ${user.name}!`;
+
+export class Counter {
+  constructor(start = 0) {
+    this.count = start;
+  }
+
+  add(step) {
+    this.count += step;
+    return this.count;
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * Example module for testing structured error expectations
+ */
+
+export class NotFoundError extends Error {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "NotFoundError";
+    this.status = 404;
+  }
+}
+
+export const parsePort = (value) => {
+  if (typeof value !== "string") {
+    throw new TypeError(`Port must be a string, got ${typeof value}`);
+  }
+  const port = Number(value);
+  if (!Number.isInteger(port)) {
+    const error = new RangeError(`Invalid port '${value}'`);
+    error.code = "EPORT";
+    error.input = value;
+    throw error;
+  }
+  return port;
+};
+
+export const loadUser = async (repo, id) => {
+  try {
+    return await repo.find(id);
+  } catch (cause) {
+    throw new NotFoundError(`User ${id} not found`, { cause });
+  }
+};
+
+export const readConfig = (readFile, path) => {
+  try {
+    return readFile(path);
+  } catch (cause) {
+    throw new Error(`Cannot read config ${path}`, { cause });
+  }
+};
+
+export class Account {
+  constructor(balance = 0) {
+    this.balance = balance;
+    this.closed = false;
+  }
+
+  withdraw(amount) {
+    if (amount > this.balance) {
+      const error = new RangeError("Insufficient funds");
+      error.code = "EFUNDS";
+      error.shortBy = amount - this.balance;
+      throw error;
+    }
+    this.balance -= amount;
+    return this.balance;
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  get statement() {
+    if (this.closed) {
+      throw new NotFoundError("Account is closed");
+    }
+    return `Balance: ${this.balance}`;
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * Example module for testing objects returned by factories
+ */
+
+export const createStore = ({ initial = {}, maxSize = Infinity } = {}) => {
+  const items = new Map(Object.entries(initial));
+
+  return {
+    get: (key) => items.get(key),
+    set: (key, value) => {
+      if (!items.has(key) && items.size >= maxSize) {
+        throw new Error(`Store is full (${maxSize} items)`);
+      }
+      items.set(key, value);
+      return items.size;
+    },
+    get size() {
+      return items.size;
+    },
+    keys: () => [...items.keys()],
+  };
+};
+
+export const connect = async (url) => ({
+  url,
+  query: async (sql) => ({ url, sql, rows: [] }),
+});
@@ -0,0 +1,21 @@
+/**
+ * Example module for testing shared fixtures
+ */
+
+export const describeUser = (user) => `${user.name} (${user.address.city})`;
+
+export const promote = (user, role) => ({ ...user, role });
+
+export const notify = (user, send) => send(user.email, `Hello ${user.name}`);
+
+export class Team {
+  constructor(name) {
+    this.name = name;
+    this.members = [];
+  }
+
+  add(user) {
+    this.members.push(user.name);
+    return this.members.length;
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * Example module for testing flexible mock call semantics
+ */
+
+export const importRows = (rows, { log, save }) => {
+  log("import started");
+  let saved = 0;
+  for (const row of rows) {
+    log(`row ${row.id}`);
+    if (save(row)) {
+      saved++;
+    }
+  }
+  log("import finished");
+  return saved;
+};
+
+export const loadAll = (ids, fetch) => Promise.all(ids.map((id) => fetch(id)));
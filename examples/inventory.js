@@ -0,0 +1,28 @@
+/**
+ * Example class for testing assertion operators
+ */
+
+export class Inventory {
+  constructor(owner) {
+    this.owner = owner;
+    this.items = [];
+    this.total = 0;
+    this.updatedAt = null;
+    this.meta = { currency: 'EUR', rate: 1 / 3 };
+  }
+
+  add(name, price) {
+    this.items.push({ name, price });
+    this.total += price;
+    this.updatedAt = new Date();
+    return this.items.length;
+  }
+
+  names() {
+    return this.items.map((item) => item.name);
+  }
+
+  summary() {
+    return `${this.owner}: ${this.items.length} item(s)`;
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Example module for testing generators and iterators
+ */
+
+export function* range(start, end) {
+  for (let value = start; value < end; value++) {
+    yield value;
+  }
+}
+
+export function* naturals() {
+  let value = 0;
+  while (true) {
+    yield value++;
+  }
+}
+
+export async function* readRecords(lines) {
+  for (const line of lines) {
+    await Promise.resolve();
+    if (!line.includes("=")) {
+      throw new SyntaxError(`Malformed record: ${line}`);
+    }
+    const [key, value] = line.split("=");
+    yield { key, value };
+  }
+}
+
+export class Tokenizer {
+  constructor(separator = " ") {
+    this.separator = separator;
+    this.emitted = 0;
+  }
+
+  *tokenize(text) {
+    for (const token of text.split(this.separator)) {
+      if (!/^\w+$/.test(token)) {
+        throw new Error(`Unexpected token '${token}'`);
+      }
+      this.emitted++;
+      yield token;
+    }
+  }
+
+  // Receives chunks through next() and yields the lines each chunk completes
+  *lines() {
+    let buffer = "";
+    let complete = [];
+    while (true) {
+      const chunk = yield complete;
+      const parts = (buffer + chunk).split("\n");
+      buffer = parts.pop();
+      complete = parts;
+    }
+  }
+
+  async *stream(chunks) {
+    for (const chunk of chunks) {
+      await Promise.resolve();
+      yield* this.tokenize(chunk);
+    }
+  }
+}
@@ -0,0 +1,26 @@
+/**
+ * Example module producing generated values for testing matcher tags
+ */
+
+let counter = 0;
+
+export const createRecord = (name, store) => {
+  counter += 1;
+  const record = {
+    id: `id-${counter}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    createdAt: new Date().toISOString(),
+    tags: ['new', name.toLowerCase()],
+    score: Math.PI,
+  };
+  if (store) {
+    store(record.id, { name, createdAt: record.createdAt });
+  }
+  return record;
+};
+
+export const describeValue = (value) => ({
+  value,
+  kind: typeof value,
+  at: new Date(),
+});
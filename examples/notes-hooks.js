@@ -0,0 +1,20 @@
+/**
+ * Hook functions used by notes.test.yaml
+ */
+
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+export const createTempDir = (prefix) =>
+  fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+
+export const removeDir = (dir) => {
+  fs.rmSync(dir, { recursive: true, force: true });
+};
+
+export const seedNote = (dir, name, text) => {
+  fs.writeFileSync(path.join(dir, `${name}.txt`), text);
+};
+
+export const createStore = (entries) => new Map(Object.entries(entries));
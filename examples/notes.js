@@ -0,0 +1,30 @@
+/**
+ * Example module working with the file system and a shared store, tested with setup/teardown hooks
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const writeNote = (dir, name, text) => {
+  const file = path.join(dir, `${name}.txt`);
+  fs.writeFileSync(file, text);
+  return fs.readdirSync(dir).length;
+};
+
+export const readNote = (dir, name) =>
+  fs.readFileSync(path.join(dir, `${name}.txt`), 'utf8');
+
+export class NoteIndex {
+  constructor(store) {
+    this.store = store;
+  }
+
+  titles() {
+    return [...this.store.keys()].sort();
+  }
+
+  add(title, body) {
+    this.store.set(title, body);
+    return this.store.size;
+  }
+}
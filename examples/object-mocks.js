@@ -0,0 +1,26 @@
+/**
+ * Example module for testing object and class mocks
+ */
+
+import { cache, HttpClient } from "./services.js";
+
+export const renewSession = (store, token) => {
+  const session = store.get(token);
+  if (!session) {
+    return null;
+  }
+  const renewed = { ...session, expiresIn: store.ttl };
+  store.set(token, renewed);
+  return renewed;
+};
+
+export const fetchProfile = async (id) => {
+  const cached = cache.get(`profile:${id}`);
+  if (cached) {
+    return cached;
+  }
+  const client = new HttpClient("https://api.example.com");
+  const profile = await client.get(`/profiles/${id}`);
+  cache.set(`profile:${id}`, profile);
+  return profile;
+};
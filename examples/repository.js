@@ -0,0 +1,27 @@
+/**
+ * Example module for testing multi-step workflows with saved variables
+ */
+
+export const nextToken = (previous = "token-0") =>
+  `token-${Number(previous.split("-")[1]) + 1}`;
+
+export class UserRepository {
+  constructor() {
+    this.users = new Map();
+    this.nextId = Math.floor(Math.random() * 1000) + 1;
+  }
+
+  create(name) {
+    const user = { id: this.nextId++, name };
+    this.users.set(user.id, user);
+    return user;
+  }
+
+  find(id) {
+    return this.users.get(id) ?? null;
+  }
+
+  remove(id) {
+    return this.users.delete(id);
+  }
+}
@@ -0,0 +1,18 @@
+/**
+ * Example service module that is replaced with object and class mocks in tests
+ */
+
+export const cache = {
+  get: (key) => {
+    throw new Error(`Cache unavailable: ${key}`);
+  },
+  set: (key) => {
+    throw new Error(`Cache unavailable: ${key}`);
+  },
+};
+
+export class HttpClient {
+  constructor(baseUrl) {
+    throw new Error(`No network access to ${baseUrl}`);
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * Example module for testing snapshot expectations
+ */
+
+export const buildConfig = (env, overrides = {}) => ({
+  env,
+  debug: env !== "production",
+  server: { host: "localhost", port: 3000, ...overrides.server },
+  plugins: ["router", "logger"].concat(overrides.plugins || []),
+});
+
+export class Tokenizer {
+  constructor() {
+    this.tokens = [];
+  }
+
+  tokenize(source) {
+    this.tokens = source
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((text) => ({
+        type: /^\d+$/.test(text) ? "number" : "word",
+        text,
+      }));
+    return this.tokens;
+  }
+
+  count() {
+    return this.tokens.length;
+  }
+}
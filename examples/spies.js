@@ -0,0 +1,11 @@
+/**
+ * Example module for testing spies that run the real implementation
+ */
+
+import { slugify } from "./text.js";
+
+export const capitalize = (word) => word[0].toUpperCase() + word.slice(1);
+
+export const formatNames = (names, format) => names.map((name) => format(name));
+
+export const createPost = (id, title) => ({ id, title, slug: slugify(title) });
@@ -0,0 +1,58 @@
+/**
+ * Example module for testing static members and module-level state
+ */
+
+export class User {
+  static #created = 0;
+
+  static get created() {
+    return User.#created;
+  }
+
+  static fromJSON(json) {
+    const { name, email } = JSON.parse(json);
+    return new User(name, email);
+  }
+
+  constructor(name, email) {
+    if (!name || !email) {
+      throw new TypeError("A user needs a name and an email");
+    }
+    this.name = name;
+    this.email = email;
+    User.#created++;
+  }
+
+  get label() {
+    return `${this.name} <${this.email}>`;
+  }
+}
+
+let hits = 0;
+export let lastPath = null;
+
+export const track = (path) => {
+  hits++;
+  lastPath = path;
+  return hits;
+};
+
+export const getHits = () => hits;
+
+export const reset = () => {
+  hits = 0;
+  lastPath = null;
+};
+
+// Exported under another name, as bundlers and re-exports often do
+class Mbr {
+  static make(name) {
+    return new Mbr(name);
+  }
+
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+export { Mbr as Member };
@@ -0,0 +1,9 @@
+/**
+ * Example helper module whose exports are wrapped by spies in tests
+ */
+
+export const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
@@ -0,0 +1,19 @@
+/**
+ * Example service importing its collaborators directly, tested with module mocks
+ */
+
+import { query, audit, TABLE_PREFIX } from './db.js';
+
+export const findUser = async (id) => {
+  const rows = await query(`SELECT * FROM ${TABLE_PREFIX}users WHERE id = ?`, [id]);
+  if (rows.length === 0) {
+    throw new Error(`User ${id} not found`);
+  }
+  audit(`read user ${id}`);
+  return rows[0];
+};
+
+export const countUsers = async () => {
+  const [{ count }] = await query(`SELECT COUNT(*) AS count FROM ${TABLE_PREFIX}users`, []);
+  return count;
+};
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Assertion operators for YAML-driven tests
+ * This module provides the operators usable in `asserts` entries (`op: eq`, `op: gt`, ...)
+ * and the helpers to validate and run them with vitest's expect.
+ */
+
+import { expect } from "./expect.js";
+
+/**
+ * Converts a YAML regex value into a RegExp
+ * @param {string|RegExp} pattern - A RegExp, a "/source/flags" string or a plain pattern string
+ * @returns {RegExp} The corresponding regular expression
+ * @example
+ * toRegExp("/^id-\\d+$/i"); // /^id-\d+$/i
+ * toRegExp("^id-"); // /^id-/
+ */
+export const toRegExp = (pattern) => {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  const literal = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+};
+
+/**
+ * Returns a descriptive type name, distinguishing arrays and null from plain objects
+ * @param {any} value - The value to inspect
+ * @returns {string} One of the `typeof` names, or "array" / "null"
+ */
+const typeOf = (value) => {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  return typeof value;
+};
+
+/**
+ * Looks up a class by name in the module under test, then the global scope
+ * @param {string|Function} name - Class name (e.g. "Date", "ValidationError") or the class itself
+ * @param {Object} [module] - The imported module under test
+ * @returns {Function|null} The class, or null when no class has that name
+ */
+export const findClass = (name, module) => {
+  if (typeof name === "function") {
+    return name;
+  }
+  const found = module?.[name] ?? globalThis[name];
+  return typeof found === "function" ? found : null;
+};
+
+/**
+ * Resolves a class by name from the module under test or the global scope
+ * @param {string|Function} name - Class name (e.g. "Date", "ValidationError") or the class itself
+ * @param {Object} [module] - The imported module under test
+ * @returns {Function} The resolved class
+ * @throws {Error} If no class with that name can be found
+ */
+export const resolveClass = (name, module) => {
+  const resolved = findClass(name, module);
+  if (!resolved) {
+    throw new Error(
+      `Class '${name}' not found in module under test or global scope`,
+    );
+  }
+  return resolved;
+};
+
+/**
+ * Operators available to `asserts` entries, keyed by their `op` name
+ * Each operator receives the actual value, the expected `value` and a context
+ * with the assertion label and the module under test.
+ * @type {Object<string, Function>}
+ */
+export const assertionOperators = {
+  eq: (actual, expected, { label }) => expect(actual, label).toEqual(expected),
+  neq: (actual, expected, { label }) =>
+    expect(actual, label).not.toEqual(expected),
+  gt: (actual, expected, { label }) =>
+    expect(actual, label).toBeGreaterThan(expected),
+  gte: (actual, expected, { label }) =>
+    expect(actual, label).toBeGreaterThanOrEqual(expected),
+  lt: (actual, expected, { label }) =>
+    expect(actual, label).toBeLessThan(expected),
+  lte: (actual, expected, { label }) =>
+    expect(actual, label).toBeLessThanOrEqual(expected),
+  contains: (actual, expected, { label }) =>
+    typeof actual === "string"
+      ? expect(actual, label).toContain(expected)
+      : expect(actual, label).toContainEqual(expected),
+  match: (actual, expected, { label }) =>
+    expect(actual, label).toMatch(toRegExp(expected)),
+  type: (actual, expected, { label }) =>
+    expect(typeOf(actual), label).toBe(expected),
+  length: (actual, expected, { label }) =>
+    expect(actual, label).toHaveLength(expected),
+  truthy: (actual, expected, { label }) => expect(actual, label).toBeTruthy(),
+  falsy: (actual, expected, { label }) => expect(actual, label).toBeFalsy(),
+  closeTo: (actual, expected, { label }) => {
+    const [target, digits] = Array.isArray(expected) ? expected : [expected];
+    expect(actual, label).toBeCloseTo(target, digits);
+  },
+  hasKeys: (actual, expected, { label }) => {
+    for (const key of [].concat(expected)) {
+      expect(actual, label).toHaveProperty(key);
+    }
+  },
+  instanceOf: (actual, expected, { label, module }) =>
+    expect(actual, label).toBeInstanceOf(resolveClass(expected, module)),
+};
+
+/**
+ * Checks that an assertion uses a known operator
+ * @param {Object} assertion - Assertion entry from an `asserts` list
+ * @param {string} [assertion.op] - Operator name (defaults to "eq")
+ * @throws {Error} If the operator is not supported
+ */
+export const validateAssertion = (assertion) => {
+  if (assertion.op !== undefined && !(assertion.op in assertionOperators)) {
+    throw new Error(
+      `Unknown assertion operator '${assertion.op}'. Supported operators: ${Object.keys(assertionOperators).join(", ")}`,
+    );
+  }
+};
+
+/**
+ * Runs an assertion operator against an actual value
+ * @param {any} actual - The actual value (property value or method result)
+ * @param {Object} assertion - Assertion entry with `op` and `value`
+ * @param {Object} context - Assertion context
+ * @param {string} context.label - Description used in failure messages
+ * @param {Object} [context.module] - The imported module under test, used to resolve class names
+ * @throws {Error} If the assertion fails or the operator is unknown
+ */
+export const runAssertion = (actual, assertion, context) => {
+  validateAssertion(assertion);
+  const operator = assertionOperators[assertion.op || "eq"];
+  operator(actual, assertion.value, context);
+};
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command line interface running YAML specs with vitest
+ * Discovers spec files in the given directories, files or glob patterns (the current
+ * directory by default) and runs them through vitest, so no runner file is needed.
+ */
+
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+const usage = `Usage: puty [paths...] [options]
+
+Runs the YAML specs (*.test.yaml, *.test.yml, *.spec.yaml, *.spec.yml) found in the
+given directories, files or glob patterns. Defaults to the current directory.
+
+Options:
+  --group <names>  Only run spec files of these groups (comma-separated, repeatable)
+  --suite <names>  Only run suites with these names
+  --case <names>   Only run cases with these names
+  -u, --update     Write new snapshots and rewrite mismatched ones
+  -r, --record     Write results of cases without an expected value into the specs
+  -w, --watch      Re-run specs when YAML or source files change
+  -h, --help       Show this help`;
+
+/**
+ * Parses the command line arguments
+ * @param {string[]} args - Arguments without the node executable and script path
+ * @returns {Object} Parsed `targets`, name filters, `update`, `record`, `watch` and `help` flags
+ * @throws {TypeError} On unknown options or missing option values
+ */
+const parseCliArgs = (args) => {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      group: { type: "string", multiple: true },
+      suite: { type: "string", multiple: true },
+      case: { type: "string", multiple: true },
+      update: { type: "boolean", short: "u", default: false },
+      record: { type: "boolean", short: "r", default: false },
+      watch: { type: "boolean", short: "w", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  return {
+    targets: positionals.map((target) => path.resolve(target)),
+    groups: values.group,
+    suites: values.suite,
+    cases: values.case,
+    update: values.update,
+    record: values.record,
+    watch: values.watch,
+    help: values.help,
+  };
+};
+
+/**
+ * Runs the CLI: passes targets and filters to the runner file and starts vitest
+ * @param {string[]} args - Arguments without the node executable and script path
+ * @returns {Promise<void>}
+ */
+const main = async (args) => {
+  let options;
+  try {
+    options = parseCliArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${usage}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (options.help) {
+    console.log(usage);
+    return;
+  }
+
+  // Test workers inherit the environment of this process
+  process.env.PUTY_TARGETS = JSON.stringify(options.targets);
+  for (const [name, values] of [
+    ["PUTY_GROUP", options.groups],
+    ["PUTY_SUITE", options.suites],
+    ["PUTY_CASE", options.cases],
+  ]) {
+    if (values) {
+      process.env[name] = values.join(",");
+    }
+  }
+  if (options.update) {
+    process.env.PUTY_UPDATE = "1";
+  }
+  if (options.record) {
+    process.env.PUTY_RECORD = "1";
+  }
+
+  const { startVitest } = await import("vitest/node");
+  const runnerDir = path.dirname(fileURLToPath(import.meta.url));
+  const vitest = await startVitest("test", [], {
+    watch: options.watch,
+    run: !options.watch,
+    dir: runnerDir,
+    include: ["cliRunner.js"],
+    exclude: [],
+    // Installed in node_modules, puty would be externalized and import the module under test
+    // natively, past the `moduleMocks` registered with vi.doMock
+    server: { deps: { inline: ["puty"] } },
+    forceRerunTriggers: [
+      "**/package.json/**",
+      "**/vitest.config.*/**",
+      "**/vite.config.*/**",
+      "**/*.{yaml,yml}",
+    ],
+  });
+  if (!vitest.shouldKeepServer()) {
+    await vitest.exit();
+  }
+};
+
+await main(process.argv.slice(2));
@@ -0,0 +1,12 @@
+/**
+ * @fileoverview Test file run by the `puty` CLI
+ * Vitest loads this file in place of a hand-written runner. It sets up the suites of the
+ * spec paths the CLI passed through `PUTY_TARGETS`; the name filters are read from
+ * `PUTY_GROUP`, `PUTY_SUITE` and `PUTY_CASE` by setupTestSuiteFromYaml.
+ */
+
+import { setupTestSuiteFromYaml } from "./puty.js";
+
+const targets = JSON.parse(process.env.PUTY_TARGETS || "[]");
+
+await setupTestSuiteFromYaml(targets.length > 0 ? targets : process.cwd());
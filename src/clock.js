@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Controllable clock for code that depends on time
+ * `clock:` on the config, suite or case document fixes the current time (`now`) and, unless
+ * `fakeTimers: false`, replaces the timers with vitest fake timers. Class executions then move
+ * time forward with `advanceTime: ms` or `runAllTimers: true` steps.
+ */
+
+import { vi } from "vitest";
+
+/**
+ * Merges the `clock:` settings of the config, suite and case levels (later levels win)
+ * @param {...Object} levels - Clock settings from the outermost to the innermost level
+ * @returns {Object|null} The merged settings, or null when no level sets a clock
+ * @example
+ * mergeClockSettings({ now: '2024-01-01T00:00:00Z' }, undefined, { fakeTimers: false });
+ * // { now: '2024-01-01T00:00:00Z', fakeTimers: false }
+ */
+export const mergeClockSettings = (...levels) => {
+  const defined = levels.filter(Boolean);
+  return defined.length > 0 ? Object.assign({}, ...defined) : null;
+};
+
+/**
+ * Installs the clock of a test case
+ * @param {Object} clock - Merged clock settings
+ * @param {string|number|Date} [clock.now] - Fixed current time
+ * @param {boolean} [clock.fakeTimers=true] - Whether timers are faked; without them only `Date` is fixed
+ */
+export const startClock = ({ now, fakeTimers = true }) => {
+  if (fakeTimers) {
+    vi.useFakeTimers();
+  }
+  if (now !== undefined) {
+    vi.setSystemTime(now);
+  }
+};
+
+/**
+ * Restores the real timers and `Date`
+ */
+export const stopClock = () => {
+  vi.useRealTimers();
+};
+
+/**
+ * Checks whether an execution moves the clock instead of calling a method
+ * @param {Object} execution - Execution entry of a class case
+ * @returns {boolean} True for `advanceTime` and `runAllTimers` steps
+ */
+export const isClockStep = (execution) =>
+  "advanceTime" in execution || "runAllTimers" in execution;
+
+/**
+ * Moves the fake clock forward, running the timers that become due
+ * Promises settled by the timers are flushed between timers, so async callbacks complete.
+ * @param {Object} step - Execution entry
+ * @param {number} [step.advanceTime] - Milliseconds to advance
+ * @param {boolean} [step.runAllTimers] - Run every pending timer, including ones they schedule
+ * @returns {Promise<void>} Resolves once the due timers have run
+ * @throws {Error} If fake timers are not enabled
+ */
+export const runClockStep = async ({ advanceTime, runAllTimers }) => {
+  if (!vi.isFakeTimers()) {
+    throw new Error(
+      "Clock steps need fake timers: set 'clock:' on the config, suite or case",
+    );
+  }
+  if (advanceTime !== undefined) {
+    await vi.advanceTimersByTimeAsync(advanceTime);
+  }
+  if (runAllTimers) {
+    await vi.runAllTimersAsync();
+  }
+};
+
+// Captured before any test fakes the timers, to wait for the real event loop
+const realSetTimeout = globalThis.setTimeout;
+
+/**
+ * Awaits a promise while running the fake timers it waits for
+ * Function cases have no clock steps, so without this an async function awaiting a fake
+ * `setTimeout` would never settle. Time jumps from timer to timer until the promise settles;
+ * once no timer is left, the promise is awaited as is.
+ * @param {Promise<any>} promise - Pending result of the call under test
+ * @returns {Promise<any>} The settled value of the promise
+ * @example
+ * startClock({ now: 0 });
+ * await runTimersUntilSettled(new Promise((resolve) => setTimeout(resolve, 100)));
+ * Date.now(); // 100
+ */
+export const runTimersUntilSettled = async (promise) => {
+  if (!vi.isFakeTimers()) {
+    return promise;
+  }
+  let settled = false;
+  // The returned promise carries the rejection; this one only tracks settling
+  promise.then(
+    () => (settled = true),
+    () => (settled = true),
+  );
+  while (true) {
+    // Lets the pending call run up to its next timer before time moves on
+    await new Promise((resolve) => realSetTimeout(resolve, 0));
+    if (settled || vi.getTimerCount() === 0) {
+      return promise;
+    }
+    await vi.advanceTimersToNextTimerAsync();
+  }
+};
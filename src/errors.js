@@ -0,0 +1,116 @@
+/**
+ * @fileoverview Structured error expectations
+ * `throws:` and `rejects:` accept a message (substring or pattern) or an object describing
+ * the error: `{ type, message, code, props, cause }`. This module checks caught errors
+ * against such expectations and builds the errors thrown by mocks.
+ */
+
+import { expect } from "vitest";
+
+import { isPlainObject } from "./utils.js";
+import { isMatcher } from "./matchers.js";
+import { findClass } from "./assertions.js";
+
+/**
+ * Asserts that an error matches a `throws`/`rejects` expectation
+ * A class given as `type` is checked with instanceof; when no class has that name the
+ * error's `name` is compared instead. `message` is a substring, a RegExp or a matcher tag,
+ * `props` is matched like `!objectContaining` and `cause` is an expectation itself.
+ * @param {any} error - The caught error (or rejection reason)
+ * @param {string|RegExp|Object} expected - Message substring/pattern or structured expectation
+ * @param {Object} [context] - Assertion context
+ * @param {Object} [context.module] - The imported module under test, used to resolve `type`
+ * @param {string} [context.label="error"] - Description used in failure messages
+ * @throws {Error} If the error does not match
+ * @example
+ * assertError(new TypeError('bad id'), { type: 'TypeError', message: 'bad' });
+ * assertError(error, { code: 'ENOENT', props: { path: '/tmp/x' }, cause: 'disk offline' });
+ */
+export const assertError = (
+  error,
+  expected,
+  { module, label = "error" } = {},
+) => {
+  if (!isPlainObject(expected)) {
+    expect(() => {
+      throw error;
+    }, label).toThrow(expected);
+    return;
+  }
+
+  const { type, message, code, props, cause } = expected;
+  if (type !== undefined) {
+    const ErrorClass = findClass(type, module);
+    if (ErrorClass) {
+      expect(error, `${label} type`).toBeInstanceOf(ErrorClass);
+    } else {
+      expect(error?.name, `${label} type`).toBe(type);
+    }
+  }
+  if (message !== undefined) {
+    if (typeof message === "string") {
+      expect(error?.message, `${label} message`).toContain(message);
+    } else if (message instanceof RegExp) {
+      expect(error?.message, `${label} message`).toMatch(message);
+    } else {
+      expect(error?.message, `${label} message`).toEqual(message);
+    }
+  }
+  if (code !== undefined) {
+    expect(error?.code, `${label} code`).toEqual(code);
+  }
+  if (props !== undefined) {
+    expect(error, `${label} properties`).toMatchObject(props);
+  }
+  if (cause !== undefined) {
+    expect(error?.cause, `${label} cause`).toBeDefined();
+    assertError(error.cause, cause, { module, label: `${label} cause` });
+  }
+};
+
+/**
+ * Describes an error expectation for messages ("TypeError: bad id" or the message itself)
+ * @param {string|RegExp|Object} expected - Error expectation
+ * @returns {string} Readable description
+ */
+export const describeErrorExpectation = (expected) => {
+  if (!isPlainObject(expected)) {
+    return isMatcher(expected) ? expected.toString() : String(expected);
+  }
+  const { type, message, code } = expected;
+  const parts = [type, message === undefined ? undefined : String(message)]
+    .filter((part) => part !== undefined)
+    .join(": ");
+  return code === undefined
+    ? parts || "an error"
+    : `${parts} (code ${code})`.trim();
+};
+
+/**
+ * Creates the error a mock throws or rejects with
+ * @param {string|Object} definition - Message, or `{ type, message, code, props, cause }`
+ * @param {Object} [module] - The imported module under test, used to resolve `type`
+ * @returns {Error} The error; when `type` names no known class, an Error with that `name`
+ * @example
+ * createError({ type: 'NotFoundError', message: 'no user 7', props: { status: 404 } }, module);
+ */
+export const createError = (definition, module) => {
+  if (!isPlainObject(definition)) {
+    return new Error(definition);
+  }
+
+  const { type, message, code, props, cause } = definition;
+  const ErrorClass = type === undefined ? Error : findClass(type, module);
+  const error = ErrorClass ? new ErrorClass(message) : new Error(message);
+  if (!ErrorClass) {
+    error.name = type;
+  }
+  if (code !== undefined) {
+    error.code = code;
+  }
+  Object.assign(error, props);
+  if (cause !== undefined) {
+    error.cause = createError(cause, module);
+  }
+  return error;
+};
@@ -0,0 +1,31 @@
+/**
+ * @fileoverview Lazy access to vitest's expect
+ * vitest can only be evaluated inside its workers. The modules that parsing a spec loads
+ * (matcher tags, assertion operators, snapshots) take `expect` from here instead of importing
+ * vitest, so `parseWithIncludes` also works from plain node, e.g. in tooling that lists cases.
+ */
+
+// Outside a vitest worker the import fails; expect is then reported missing when first used
+const vitest = await import("vitest").catch(() => null);
+
+/**
+ * Gets vitest's expect
+ * @returns {Function} vitest's expect, with its asymmetric matchers (`expect.any`, ...)
+ * @throws {Error} Outside a vitest worker
+ */
+export const getExpect = () => {
+  if (!vitest) {
+    throw new Error(
+      "vitest's expect is only available in tests run by vitest (matcher tags and assertions need it)",
+    );
+  }
+  return vitest.expect;
+};
+
+/**
+ * Calls vitest's expect
+ * @param {...any} args - The actual value and an optional message
+ * @returns {Object} The assertion
+ * @throws {Error} Outside a vitest worker
+ */
+export const expect = (...args) => getExpect()(...args);
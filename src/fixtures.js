@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Named fixtures shared by the cases of a spec
+ * `fixtures:` on the config, suite or case document defines named values (inner levels
+ * override outer ones). `$ref:name` and `$ref:name.path` insert a fixture wherever a value is
+ * expected, and `{ $merge: [...] }` deep-merges fixtures with overrides.
+ */
+
+import { isPlainObject, deepClone, copySourceLocation } from "./utils.js";
+
+/**
+ * Prefix of fixture references
+ * @type {string}
+ */
+const REF_PREFIX = "$ref:";
+
+/**
+ * Checks whether a value is a `$ref:` reference
+ * @param {any} value - The value to check
+ * @returns {boolean} True for strings starting with `$ref:`
+ */
+const isFixtureReference = (value) =>
+  typeof value === "string" && value.startsWith(REF_PREFIX);
+
+/**
+ * Checks whether a value is a `{ $merge: [...] }` directive
+ * @param {any} value - The value to check
+ * @returns {boolean} True for mappings whose only key is `$merge`
+ */
+const isMergeDirective = (value) =>
+  isPlainObject(value) &&
+  Object.keys(value).length === 1 &&
+  Array.isArray(value.$merge);
+
+/**
+ * Checks whether a value is resolved by this module rather than passed through
+ * @param {any} value - The value to check
+ * @returns {boolean} True for `$ref:` references and `$merge` directives
+ */
+export const isFixtureExpression = (value) =>
+  isFixtureReference(value) || isMergeDirective(value);
+
+/**
+ * Deep-merges values: mappings are merged key by key, anything else is replaced by later values
+ * @param {...any} values - Values to merge, later ones winning
+ * @returns {any} The merged value; inputs are not modified
+ * @example
+ * deepMerge({ name: 'Ada', address: { city: 'London' } }, { address: { zip: 'N1' } });
+ * // { name: 'Ada', address: { city: 'London', zip: 'N1' } }
+ */
+export const deepMerge = (...values) =>
+  values.reduce((merged, value) => {
+    if (!isPlainObject(merged) || !isPlainObject(value)) {
+      return deepClone(value);
+    }
+    const result = { ...merged };
+    for (const [key, item] of Object.entries(value)) {
+      result[key] =
+        key in merged ? deepMerge(merged[key], item) : deepClone(item);
+    }
+    return result;
+  });
+
+/**
+ * Reads the value a `$ref:name.path` reference points at
+ * @param {string} reference - The reference, e.g. "$ref:user.address.city"
+ * @param {Function} getFixture - Returns the expanded fixture of a name, or undefined when none is defined
+ * @returns {any} A copy of the referenced value
+ * @throws {Error} If the fixture or a path segment does not exist
+ */
+const lookupFixture = (reference, getFixture) => {
+  const [name, ...rest] = reference.substring(REF_PREFIX.length).split(".");
+  let current = getFixture(name);
+  if (current === undefined) {
+    throw new Error(
+      `Fixture '${name}' is not defined (referenced as '${reference}')`,
+    );
+  }
+  let resolvedPath = name;
+  for (const part of rest) {
+    if (current == null || !(part in Object(current))) {
+      throw new Error(
+        `Fixture reference '${reference}' does not resolve: '${resolvedPath}' has no '${part}'`,
+      );
+    }
+    current = current[part];
+    resolvedPath += `.${part}`;
+  }
+  return deepClone(current);
+};
+
+/**
+ * Replaces fixture expressions using a fixture getter
+ * @param {any} value - Value to process
+ * @param {Function} getFixture - Returns the expanded fixture of a name
+ * @returns {any} The value with fixture expressions replaced
+ */
+const replaceFixtures = (value, getFixture) => {
+  if (isFixtureReference(value)) {
+    return lookupFixture(value, getFixture);
+  }
+
+  if (isMergeDirective(value)) {
+    const parts = value.$merge.map((part) => replaceFixtures(part, getFixture));
+    if (!parts.every(isPlainObject)) {
+      throw new Error("Every entry of '$merge' must be a mapping");
+    }
+    return deepMerge({}, ...parts);
+  }
+
+  // Rebuilt mappings keep their source location, so record mode can still write into them
+  if (Array.isArray(value)) {
+    return copySourceLocation(
+      value.map((item) => replaceFixtures(item, getFixture)),
+      value,
+    );
+  }
+
+  if (isPlainObject(value)) {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = replaceFixtures(item, getFixture);
+    }
+    return copySourceLocation(resolved, value);
+  }
+
+  return value;
+};
+
+/**
+ * Replaces `$ref:` references and `$merge` directives, leaving other values (including `$mock:`
+ * references) untouched
+ * @param {any} value - Value to process (string, array, object or primitive)
+ * @param {Object} fixtures - Expanded fixtures (see mergeFixtures)
+ * @returns {any} The value with fixture expressions replaced
+ * @throws {Error} If a reference does not resolve or `$merge` lists something other than mappings
+ * @example
+ * resolveFixtureReferences({ $merge: ['$ref:user', { role: 'admin' }] }, { user: { name: 'Ada' } });
+ * // { name: 'Ada', role: 'admin' }
+ */
+export const resolveFixtureReferences = (value, fixtures) =>
+  replaceFixtures(value, (name) =>
+    Object.hasOwn(fixtures, name) ? fixtures[name] : undefined,
+  );
+
+/**
+ * Merges the fixtures of the config, suite and case levels and expands the references between them
+ * Fixtures are expanded on first use, so they may reference fixtures defined after them.
+ * @param {...Object} levels - Fixture maps from the outermost to the innermost level
+ * @returns {Object} Map of fixture name to its expanded value
+ * @throws {Error} If fixtures reference each other in a cycle
+ * @example
+ * mergeFixtures({ user: { name: 'Ada' } }, { admin: { $merge: ['$ref:user', { role: 'admin' }] } });
+ * // { user: { name: 'Ada' }, admin: { name: 'Ada', role: 'admin' } }
+ */
+export const mergeFixtures = (...levels) => {
+  const definitions = Object.assign({}, ...levels.filter(Boolean));
+  const expanded = {};
+  const expanding = [];
+
+  const getFixture = (name) => {
+    if (Object.hasOwn(expanded, name)) {
+      return expanded[name];
+    }
+    if (!Object.hasOwn(definitions, name)) {
+      return undefined;
+    }
+    if (expanding.includes(name)) {
+      const cycle = [...expanding.slice(expanding.indexOf(name)), name];
+      throw new Error(
+        `Fixtures reference each other in a cycle: ${cycle.join(" -> ")}`,
+      );
+    }
+    expanding.push(name);
+    expanded[name] = replaceFixtures(definitions[name], getFixture);
+    expanding.pop();
+    return expanded[name];
+  };
+
+  for (const name of Object.keys(definitions)) {
+    getFixture(name);
+  }
+  return expanded;
+};
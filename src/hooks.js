@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Setup and teardown hooks
+ * This module runs the `setup:` and `teardown:` entries declared on groups, suites and
+ * cases. Each entry calls a named export of the hooks module (or of the module under
+ * test) and can store its return value for `$setup:` references.
+ */
+
+import { resolveRuntimeReferences } from "./references.js";
+
+/**
+ * Normalizes a hook entry written as a bare export name or as a mapping
+ * @param {string|Object} entry - `"resetDb"` or `{ call: "createTempDir", in: [...], as: "tmpDir" }`
+ * @returns {{call: string, in: any[], as?: string}} The normalized entry
+ */
+const normalizeHookEntry = (entry) =>
+  typeof entry === "string" ? { call: entry, in: [] } : { in: [], ...entry };
+
+/**
+ * Runs hook entries in order, storing results named with `as` in the scope
+ * @param {Array<string|Object>} [entries=[]] - Hook entries
+ * @param {Object} scope - Scope receiving saved results; earlier results are visible as `$setup:` references
+ * @param {Object} context - Modules hooks are looked up in
+ * @param {Object} [context.hooks] - The imported hooks module, searched first
+ * @param {Object} [context.module] - The imported module under test
+ * @returns {Promise<void>} Resolves when every hook (and its returned promise) has completed
+ * @throws {Error} If a hook is not found or fails
+ * @example
+ * const scope = {};
+ * await runHooks([{ call: 'createTempDir', in: ['notes-'], as: 'tmpDir' }], scope, { hooks });
+ * scope.tmpDir; // '/tmp/notes-abc123'
+ */
+export const runHooks = async (entries = [], scope, { hooks, module }) => {
+  for (const entry of entries) {
+    const { call, in: args, as } = normalizeHookEntry(entry);
+    const hook = hooks?.[call] ?? module?.[call];
+    if (typeof hook !== "function") {
+      throw new Error(
+        `Hook '${call}' not found in hooks module or module under test`,
+      );
+    }
+    const result = await hook(
+      ...resolveRuntimeReferences(args, { setup: scope }),
+    );
+    if (as) {
+      scope[as] = result;
+    }
+  }
+};
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Consuming generators and iterators
+ * `iterate: true` on a function case or execution drains the returned (async) iterable into an
+ * array that `out` is compared with; `take: N` stops after N values, for infinite generators.
+ * `next: [...]` on an execution steps the returned iterator once per value instead.
+ */
+
+import { formatValue } from "./matchers.js";
+import { isThenable } from "./utils.js";
+
+/**
+ * Checks whether a value can be iterated with `for await`
+ * @param {any} value - The value to check
+ * @returns {boolean} True for async generators and other async iterables
+ */
+const isAsyncIterable = (value) =>
+  value != null && typeof value[Symbol.asyncIterator] === "function";
+
+/**
+ * Checks whether a value can be iterated with `for of`
+ * @param {any} value - The value to check
+ * @returns {boolean} True for generators, arrays, strings, maps, sets and other iterables
+ */
+const isIterable = (value) =>
+  value != null && typeof value[Symbol.iterator] === "function";
+
+/**
+ * Collects the values of an async iterable
+ * @param {AsyncIterable} iterable - The iterable to drain
+ * @param {number} take - Maximum number of values
+ * @returns {Promise<any[]>} The collected values
+ */
+const collectAsync = async (iterable, take) => {
+  const values = [];
+  if (take === 0) {
+    return values;
+  }
+  for await (const value of iterable) {
+    values.push(value);
+    // Leaving the loop early closes the iterator, running its `finally` blocks
+    if (values.length >= take) {
+      break;
+    }
+  }
+  return values;
+};
+
+/**
+ * Drains an iterable into an array
+ * Sync iterables are drained synchronously, so errors thrown while iterating count as thrown;
+ * async iterables (and promises of iterables) return a promise, so their errors count as rejections.
+ * @param {any} value - Value returned by the function or method under test
+ * @param {number} [take=Infinity] - Maximum number of values, for infinite generators
+ * @returns {any[]|Promise<any[]>} The collected values
+ * @throws {Error} If the value is not iterable
+ * @example
+ * collectIterable((function* () { yield 1; yield 2; })()); // [1, 2]
+ * await collectIterable(naturals(), 3); // [0, 1, 2]
+ */
+export const collectIterable = (value, take = Infinity) => {
+  if (isThenable(value)) {
+    return Promise.resolve(value).then((resolved) =>
+      collectIterable(resolved, take),
+    );
+  }
+  if (isAsyncIterable(value)) {
+    return collectAsync(value, take);
+  }
+  if (!isIterable(value)) {
+    throw new Error(
+      `Expected an iterable to iterate but got ${formatValue(value)}`,
+    );
+  }
+  const values = [];
+  if (take === 0) {
+    return values;
+  }
+  for (const item of value) {
+    values.push(item);
+    if (values.length >= take) {
+      break;
+    }
+  }
+  return values;
+};
+
+/**
+ * Gets the iterator of a value that is an iterator itself or an (async) iterable
+ * @param {any} value - Value returned by the method under test
+ * @returns {Iterator|AsyncIterator} The iterator
+ * @throws {Error} If the value is neither
+ */
+const getIterator = (value) => {
+  if (value != null && typeof value.next === "function") {
+    return value;
+  }
+  if (isAsyncIterable(value)) {
+    return value[Symbol.asyncIterator]();
+  }
+  if (isIterable(value)) {
+    return value[Symbol.iterator]();
+  }
+  throw new Error(
+    `Expected an iterator to step with 'next' but got ${formatValue(value)}`,
+  );
+};
+
+/**
+ * Steps an iterator once per value, passing the value to `next()`, and collects what each step
+ * produced
+ * Steps after the iterator finished produce its final value (usually undefined). Async
+ * iterators are stepped one after the other and return a promise.
+ * @param {any} value - Iterator or iterable returned by the method under test
+ * @param {any[]} nextValues - Values passed to the successive `next()` calls
+ * @returns {any[]|Promise<any[]>} The `value` of each step's result
+ * @throws {Error} If the value cannot be stepped
+ * @example
+ * // function* echo() { let input; while (true) input = yield input?.toUpperCase(); }
+ * stepIterator(echo(), [undefined, 'a', 'b']); // [undefined, 'A', 'B']
+ */
+export const stepIterator = (value, nextValues) => {
+  if (isThenable(value)) {
+    return Promise.resolve(value).then((resolved) =>
+      stepIterator(resolved, nextValues),
+    );
+  }
+  const iterator = getIterator(value);
+  const values = [];
+  const step = (start) => {
+    for (let index = start; index < nextValues.length; index++) {
+      const result = iterator.next(nextValues[index]);
+      if (isThenable(result)) {
+        return result.then((settled) => {
+          values.push(settled.value);
+          return step(index + 1);
+        });
+      }
+      values.push(result.value);
+    }
+    return values;
+  };
+  return step(0);
+};
+
+/**
+ * Consumes the result of a call as a case or execution asks for
+ * @param {any} value - Value returned by the function or method under test
+ * @param {Object} entry - Function case or execution
+ * @param {boolean} [entry.iterate] - Whether to drain the result into an array
+ * @param {number} [entry.take] - Maximum number of values to drain
+ * @param {any[]} [entry.next] - Values to step the resulting iterator with
+ * @returns {any} The collected values, or the value itself when neither option is set
+ */
+export const consumeResult = (value, { iterate, take, next }) => {
+  if (next !== undefined) {
+    return stepIterator(value, next);
+  }
+  if (iterate) {
+    return collectIterable(value, take);
+  }
+  return value;
+};
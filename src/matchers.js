@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Inline matcher tags for YAML expectations
+ * This module defines the custom YAML tags (`!any`, `!match`, `!objectContaining`, ...)
+ * that build vitest asymmetric matchers, so expected values in `out`, `in` and mock
+ * call arguments can describe a shape instead of an exact value.
+ */
+
+import yaml from "js-yaml";
+
+import { getExpect } from "./expect.js";
+import { toRegExp } from "./assertions.js";
+
+/**
+ * Loose ISO 8601 date/date-time pattern (e.g. 2024-01-31, 2024-01-31T10:00:00.000Z)
+ * @type {RegExp}
+ */
+const ISO_DATE_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Asymmetric matcher accepting valid Date instances and ISO 8601 date strings
+ */
+class IsoDateMatcher {
+  $$typeof = Symbol.for("jest.asymmetricMatcher");
+
+  asymmetricMatch(actual) {
+    if (actual instanceof Date) {
+      return !Number.isNaN(actual.getTime());
+    }
+    return (
+      typeof actual === "string" &&
+      ISO_DATE_PATTERN.test(actual) &&
+      !Number.isNaN(Date.parse(actual))
+    );
+  }
+
+  toString() {
+    return "IsoDate";
+  }
+
+  toAsymmetricMatcher() {
+    return "IsoDate";
+  }
+}
+
+/**
+ * Resolves a global constructor for `!any`
+ * @param {string} name - Constructor name such as "String", "Number" or "Date"
+ * @returns {Function} The global constructor
+ * @throws {Error} If the name is not a global constructor
+ */
+const resolveGlobalConstructor = (name) => {
+  const constructor = globalThis[String(name).trim()];
+  if (typeof constructor !== "function") {
+    throw new Error(`!any expects a global constructor name, got '${name}'`);
+  }
+  return constructor;
+};
+
+/**
+ * Custom YAML types producing asymmetric matchers
+ * @type {yaml.Type[]}
+ * @example
+ * // id: !any String
+ * // slug: !match /^post-\d+$/
+ * // user: !objectContaining { name: Ada }
+ * // tags: !arrayContaining [admin]
+ * // ratio: !closeTo [3.14, 2]
+ * // createdAt: !isoDate
+ */
+export const matcherTypes = [
+  new yaml.Type("!any", {
+    kind: "scalar",
+    construct: (name) => getExpect().any(resolveGlobalConstructor(name)),
+  }),
+  new yaml.Type("!anything", {
+    kind: "scalar",
+    resolve: () => true,
+    construct: () => getExpect().anything(),
+  }),
+  new yaml.Type("!match", {
+    kind: "scalar",
+    construct: (pattern) => getExpect().stringMatching(toRegExp(pattern)),
+  }),
+  new yaml.Type("!stringContaining", {
+    kind: "scalar",
+    construct: (text) => getExpect().stringContaining(text),
+  }),
+  new yaml.Type("!objectContaining", {
+    kind: "mapping",
+    construct: (object) => getExpect().objectContaining(object || {}),
+  }),
+  new yaml.Type("!arrayContaining", {
+    kind: "sequence",
+    construct: (items) => getExpect().arrayContaining(items || []),
+  }),
+  new yaml.Type("!closeTo", {
+    kind: "scalar",
+    construct: (number) => getExpect().closeTo(Number(number)),
+  }),
+  new yaml.Type("!closeTo", {
+    kind: "sequence",
+    construct: ([number, digits]) => getExpect().closeTo(number, digits),
+  }),
+  new yaml.Type("!isoDate", {
+    kind: "scalar",
+    resolve: () => true,
+    construct: () => new IsoDateMatcher(),
+  }),
+];
+
+/**
+ * Checks whether a value is an asymmetric matcher
+ * @param {any} value - The value to check
+ * @returns {boolean} True if the value exposes an `asymmetricMatch` function
+ */
+export const isMatcher = (value) =>
+  value != null &&
+  typeof value === "object" &&
+  typeof value.asymmetricMatch === "function";
+
+/**
+ * Describes a matcher in the same notation vitest uses in diffs (e.g. "Any<String>")
+ * @param {Object} matcher - The asymmetric matcher
+ * @returns {string} Readable matcher description
+ */
+const describeMatcher = (matcher) => {
+  if (typeof matcher.toAsymmetricMatcher === "function") {
+    return matcher.toAsymmetricMatcher();
+  }
+  if (matcher.sample === undefined) {
+    return matcher.toString();
+  }
+  const sample =
+    matcher.sample instanceof RegExp
+      ? String(matcher.sample)
+      : formatValue(matcher.sample);
+  return `${matcher.toString()} ${sample}`;
+};
+
+/**
+ * Serializes a value for error messages, printing matchers by their readable name
+ * @param {any} value - The value to serialize
+ * @returns {string} JSON-like representation of the value
+ */
+export const formatValue = (value) =>
+  JSON.stringify(value, (key, item) =>
+    isMatcher(item) ? describeMatcher(item) : item,
+  );
@@ -6,13 +6,43 @@
 
 import { vi } from "vitest";
 
+import { isPlainObject, deepClone } from "./utils.js";
+import { isMatcher, formatValue } from "./matchers.js";
+import { createError } from "./errors.js";
+import { isFixtureExpression, resolveFixtureReferences } from "./fixtures.js";
+
+/**
+ * Symbol marking errors raised because a mock was used other than its spec expects, as
+ * opposed to the errors a mock is scripted to throw
+ * @type {symbol}
+ */
+const MOCK_ERROR = Symbol("puty.mockError");
+
+/**
+ * Creates the error of a mock used other than its spec expects
+ * @param {string} message - Error message
+ * @returns {Error} The error, marked for isMockError
+ */
+const mockError = (message) =>
+  Object.defineProperty(new Error(message), MOCK_ERROR, { value: true });
+
+/**
+ * Checks whether an error was raised by a mock used other than its spec expects
+ * The code under test sees these errors like any other, but record mode must not write them
+ * into the spec as the expected `throws` or `rejects`.
+ * @param {any} error - The caught error (or rejection reason)
+ * @returns {boolean} True for argument mismatches, unexpected calls and missing callbacks
+ */
+export const isMockError = (error) => error?.[MOCK_ERROR] === true;
+
 /**
  * Deep equality check for mock argument validation
- * @param {any} a - First value to compare
- * @param {any} b - Second value to compare
+ * @param {any} a - Actual value to compare
+ * @param {any} b - Expected value to compare, may contain matchers from YAML tags
  * @returns {boolean} True if values are deeply equal
  */
 const deepEqual = (a, b) => {
+  if (isMatcher(b)) return b.asymmetricMatch(a);
   if (a === b) return true;
   if (a == null || b == null) return false;
   if (Array.isArray(a) && Array.isArray(b)) {
@@ -34,6 +64,73 @@ const deepEqual = (a, b) => {
   return false;
 };
 
+/**
+ * Sequence number given to the next accepted mock call, shared by all mocks so the order
+ * of calls across mocks can be reconstructed
+ * @type {number}
+ */
+let nextCallId = 0;
+
+/**
+ * Mock function wrappers of the test case currently running, used by module-level mocks
+ * @type {Object|null}
+ */
+let activeMockFunctions = null;
+
+/**
+ * Sets the mock functions that module-level mock exports delegate to
+ * @param {Object|null} mockFunctions - Map of mock name to mock function wrapper, or null after the test
+ */
+export const setActiveMocks = (mockFunctions) => {
+  activeMockFunctions = mockFunctions;
+};
+
+/**
+ * Creates replacement exports for a module declared under `moduleMocks`
+ * Exports given as `$mock:name` delegate to the mock of the running test case, so each case
+ * keeps its own `calls` definition and validation. Other values replace the export as-is.
+ * @param {string} modulePath - Module path as written in YAML, used for error reporting
+ * @param {Object} exportMocks - Map of export name to `$mock:name` reference or literal value
+ * @returns {Object} Map of export name to replacement value
+ * @example
+ * // moduleMocks: { './db.js': { query: $mock:query } }
+ * const exports = createModuleMockExports('./db.js', { query: '$mock:query' });
+ */
+export const createModuleMockExports = (modulePath, exportMocks) => {
+  const replacements = {};
+
+  for (const [exportName, value] of Object.entries(exportMocks)) {
+    if (typeof value !== "string" || !value.startsWith("$mock:")) {
+      replacements[exportName] = value;
+      continue;
+    }
+
+    const mockName = value.substring(6); // Remove '$mock:' prefix
+    const delegate = function (...args) {
+      const mockWrapper = activeMockFunctions?.[mockName];
+      if (!mockWrapper) {
+        throw mockError(
+          `Mock '${mockName}' is referenced by moduleMocks for '${modulePath}' but not defined for this test case`,
+        );
+      }
+      return new.target
+        ? new mockWrapper.mockFunction(...args)
+        : mockWrapper.mockFunction.apply(this, args);
+    };
+    // Property reads reach the methods and properties of object and class mocks
+    replacements[exportName] = new Proxy(delegate, {
+      get: (target, property, receiver) => {
+        const mock = activeMockFunctions?.[mockName]?.mockFunction;
+        return mock != null && property in Object(mock)
+          ? mock[property]
+          : Reflect.get(target, property, receiver);
+      },
+    });
+  }
+
+  return replacements;
+};
+
 /**
  * Resolves mock references following hierarchy: case -> suite -> global
  * @param {Object} caseMocks - Case-level mock definitions
@@ -52,11 +149,21 @@ export const resolveMocks = (caseMocks = {}, suiteMocks = {}, globalMocks = {})
 
 /**
  * Recursively processes values, replacing $mock: references with mock functions
+ * and `$ref:` fixture references (and `$merge` directives) with their values
  * @param {any} value - Value to process (can be string, array, object, or primitive)
  * @param {Object} mockFunctions - Map of mock name to mock function wrapper
- * @returns {any} Processed value with $mock: references replaced
+ * @param {Object} [fixtures={}] - Expanded fixtures of the test case (see mergeFixtures)
+ * @returns {any} Processed value with $mock: and $ref: references replaced
  */
-export const processMockReferences = (value, mockFunctions) => {
+export const processMockReferences = (value, mockFunctions, fixtures = {}) => {
+  // Fixtures may contain $mock: references themselves, but no further fixture expressions
+  if (isFixtureExpression(value)) {
+    return processMockReferences(
+      resolveFixtureReferences(value, fixtures),
+      mockFunctions,
+    );
+  }
+
   if (typeof value === 'string' && value.startsWith('$mock:')) {
     const mockName = value.substring(6); // Remove '$mock:' prefix
     if (!mockFunctions[mockName]) {
@@ -66,13 +173,16 @@ export const processMockReferences = (value, mockFunctions) => {
   }
   
   if (Array.isArray(value)) {
-    return value.map(item => processMockReferences(item, mockFunctions));
+    return value.map((item) =>
+      processMockReferences(item, mockFunctions, fixtures),
+    );
   }
   
-  if (value && typeof value === 'object') {
+  // Only plain objects are rebuilt; matchers and other instances are kept as-is
+  if (isPlainObject(value)) {
     const processed = {};
     for (const [key, val] of Object.entries(value)) {
-      processed[key] = processMockReferences(val, mockFunctions);
+      processed[key] = processMockReferences(val, mockFunctions, fixtures);
     }
     return processed;
   }
@@ -80,73 +190,442 @@ export const processMockReferences = (value, mockFunctions) => {
   return value;
 };
 
+/**
+ * Works out how many times a mock may be called
+ * Without `times`, `minTimes` or `maxTimes` a mock must be called exactly once per scripted call;
+ * with `returns` it may be called more often.
+ * @param {Object} mockDefinition - Mock definition
+ * @param {number} scriptedCalls - Number of scripted calls (after `repeat`)
+ * @returns {{min: number, max: number, description: string}} Call count limits and their wording
+ */
+const resolveCallLimits = (mockDefinition, scriptedCalls) => {
+  const { times, minTimes, maxTimes } = mockDefinition;
+  const min = times ?? minTimes ?? scriptedCalls;
+  const max =
+    times ??
+    maxTimes ??
+    ("returns" in mockDefinition || minTimes !== undefined
+      ? Infinity
+      : scriptedCalls);
+
+  let description = `between ${min} and ${max}`;
+  if (min === max) {
+    description = `exactly ${min}`;
+  } else if (max === Infinity) {
+    description = `at least ${min}`;
+  } else if (min === 0) {
+    description = `at most ${max}`;
+  }
+  return { min, max, description };
+};
+
+/**
+ * Invokes a callback the code under test passed to a mock (`callArg`/`callArgAsync`)
+ * @param {string} mockName - Name of the mock for error reporting
+ * @param {any[]} args - Arguments the mock was called with
+ * @param {Object} callback - Callback definition
+ * @param {number} callback.index - Argument position of the callback; negative counts from the end
+ * @param {any[]} [callback.args=[]] - Arguments passed to the callback
+ * @param {boolean} async - Whether the callback runs after the current tick instead of immediately
+ * @throws {Error} If the argument at that position is not a function
+ */
+const invokeCallbackArgument = (
+  mockName,
+  args,
+  { index, args: callbackArgs = [] },
+  async,
+) => {
+  const callback = args.at(index);
+  if (typeof callback !== "function") {
+    throw mockError(
+      `Mock '${mockName}' expected a callback as argument ${index} but got ${formatValue(callback)}`,
+    );
+  }
+  if (async) {
+    queueMicrotask(() => callback(...callbackArgs));
+  } else {
+    callback(...callbackArgs);
+  }
+};
+
+/**
+ * Finds the real function a spy mock wraps
+ * @param {string} mockName - Name of the mock for error reporting
+ * @param {Object} mockDefinition - Mock definition with `spy` and optional `file`
+ * @param {Object} options - Mock options with `module` and `spyModules`
+ * @returns {Function} The real implementation
+ * @throws {Error} If the export is missing or not a function
+ */
+const resolveSpyTarget = (
+  mockName,
+  { spy, file },
+  { module, spyModules = {} },
+) => {
+  const source = file === undefined ? module : spyModules[file];
+  const target = source?.[spy];
+  if (typeof target !== "function") {
+    throw new Error(
+      `Spy '${mockName}' wraps '${spy}', which is not a function exported by ${file ?? "the module under test"}`,
+    );
+  }
+  return target;
+};
+
 /**
  * Creates a mock function with call tracking and validation
+ * Scripted `calls` are matched in order, or in any order with `ordered: false`. Calls beyond the
+ * script return `returns` when the definition allows them (`returns`, `times`, `minTimes` or `maxTimes`).
+ * A spy (`spy: exportName`) checks calls the same way but runs the real export, except for calls
+ * that script their result with `out`, `throws`, `resolves` or `rejects`.
  * @param {string} mockName - Name of the mock for error reporting
- * @param {Object} mockDefinition - Mock definition with calls array
- * @param {Array} mockDefinition.calls - Array of expected calls with in/out/throws
+ * @param {Object} mockDefinition - Mock definition
+ * @param {Array} [mockDefinition.calls] - Expected calls with in/out/throws/resolves/rejects, and
+ *   optional `repeat` (number of identical calls), `ignoreArgs` and `callArg`/`callArgAsync`
+ *   ({ index, args }: invoke the callback passed at that position, now or after the current tick)
+ * @param {any} [mockDefinition.returns] - Value returned by calls that are not scripted
+ * @param {number} [mockDefinition.times] - Exact number of calls
+ * @param {number} [mockDefinition.minTimes] - Minimum number of calls
+ * @param {number} [mockDefinition.maxTimes] - Maximum number of calls
+ * @param {boolean} [mockDefinition.ordered=true] - Whether scripted calls must happen in order
+ * @param {boolean} [mockDefinition.ignoreArgs=false] - Whether arguments are left unchecked
+ * @param {string} [mockDefinition.spy] - Export whose real implementation handles the calls
+ * @param {string} [mockDefinition.file] - Module exporting `spy` (as written in the spec),
+ *   instead of the module under test
+ * @param {Object} [options] - Mock options
+ * @param {Object} [options.recorder] - Record mode recorder; calls without `in` then accept any
+ *   arguments and have them written back to the spec file
+ * @param {Object} [options.module] - The imported module under test, used to resolve the error
+ *   classes of structured `throws`/`rejects` ({ type, message, code, props, cause }), and
+ *   the exports spies wrap by default
+ * @param {Object} [options.spyModules] - Map of spy `file` (as written) to its imported module
  * @returns {Object} Mock function wrapper with validation methods
+ * @throws {Error} If a spy does not wrap an exported function
+ * @example
+ * // A logger called any number of times with any arguments
+ * createMockFunction('log', { returns: null, ignoreArgs: true });
+ * // The real slugify, which must be called once with 'Hello World'
+ * createMockFunction('slugify', { spy: 'slugify', calls: [{ in: ['Hello World'] }] }, { module });
  */
-export const createMockFunction = (mockName, mockDefinition) => {
-  const { calls } = mockDefinition;
-  let callIndex = 0;
+export const createMockFunction = (mockName, mockDefinition, options = {}) => {
+  const { calls = [], ordered = true, ignoreArgs = false } = mockDefinition;
+  // `repeat: n` stands for n identical scripted calls
+  const scripted = calls.flatMap((call) => Array(call.repeat ?? 1).fill(call));
+  const remaining = [...scripted];
+  const limits = resolveCallLimits(mockDefinition, scripted.length);
+  const allowsUnscripted =
+    limits.max > scripted.length || "returns" in mockDefinition;
+  const realFunction =
+    mockDefinition.spy === undefined
+      ? null
+      : resolveSpyTarget(mockName, mockDefinition, options);
+  let callCount = 0;
+  const callIds = [];
+
+  const countError = (count) =>
+    mockError(
+      `Mock '${mockName}' was called ${count} time(s) but expected ${limits.description} calls`,
+    );
+  const formatCall = (call) => `${mockName}(${formatValue(call.in)})`;
+
+  // Arguments match when unchecked, equal to `in`, or recorded because `in` is left out
+  const argsMatch = (call, args) =>
+    ignoreArgs ||
+    call.ignoreArgs ||
+    (!("in" in call) && options.recorder?.record(call, "in", args)) ||
+    deepEqual(args, call.in);
   
-  const mockFn = vi.fn().mockImplementation((...args) => {
-    if (callIndex >= calls.length) {
-      throw new Error(`Mock '${mockName}' was called ${callIndex + 1} time(s) but expected exactly ${calls.length} calls`);
+  const mockFn = vi.fn().mockImplementation(function (...args) {
+    const count = callCount + 1;
+    if (count > limits.max) {
+      throw countError(count);
     }
     
-    const expectedCall = calls[callIndex];
-    
-    // Validate input arguments
-    if (!deepEqual(args, expectedCall.in)) {
-      throw new Error(`Expected ${mockName}(${JSON.stringify(expectedCall.in)}) but got ${mockName}(${JSON.stringify(args)})`);
+    let expectedCall = null;
+    if (ordered) {
+      if (remaining.length > 0) {
+        expectedCall = remaining[0];
+        // Validate input arguments
+        if (!argsMatch(expectedCall, args)) {
+          throw mockError(
+            `Expected ${formatCall(expectedCall)} but got ${mockName}(${formatValue(args)})`,
+          );
+        }
+        remaining.shift();
+      }
+    } else {
+      const index = remaining.findIndex((call) => argsMatch(call, args));
+      if (index >= 0) {
+        expectedCall = remaining.splice(index, 1)[0];
+      } else if (!allowsUnscripted) {
+        throw mockError(
+          `Unexpected call ${mockName}(${formatValue(args)}); remaining expected calls: ${remaining.map(formatCall).join(", ") || "none"}`,
+        );
+      }
     }
     
-    callIndex++;
+    callCount = count;
+    callIds.push(nextCallId++);
+
+    if (!expectedCall) {
+      return realFunction && !("returns" in mockDefinition)
+        ? realFunction.apply(this, args)
+        : mockDefinition.returns;
+    }
     
     if (expectedCall.throws) {
-      throw new Error(expectedCall.throws);
+      throw createError(expectedCall.throws, options.module);
     }
     
+    // Callback-style collaborators call back into the code under test before returning
+    if (expectedCall.callArg) {
+      invokeCallbackArgument(mockName, args, expectedCall.callArg, false);
+    }
+    if (expectedCall.callArgAsync) {
+      invokeCallbackArgument(mockName, args, expectedCall.callArgAsync, true);
+    }
+
+    // Async collaborators: return a promise settled with the scripted value
+    if (expectedCall.rejects) {
+      return Promise.reject(createError(expectedCall.rejects, options.module));
+    }
+    if ("resolves" in expectedCall) {
+      return Promise.resolve(expectedCall.resolves);
+    }
+
+    // Spies run the real implementation unless the call scripts its result
+    if (realFunction && !("out" in expectedCall)) {
+      return realFunction.apply(this, args);
+    }
     return expectedCall.out;
   });
   
   return {
     mockFunction: mockFn,
-    expectedCalls: calls.length,
-    actualCalls: () => callIndex,
+    expectedCalls: scripted.length,
+    actualCalls: () => callCount,
+    callIds: () => [...callIds],
     validate: () => {
-      if (callIndex !== calls.length) {
-        throw new Error(`Mock '${mockName}' was called ${callIndex} time(s) but expected exactly ${calls.length} calls`);
+      if (callCount < limits.min || callCount > limits.max) {
+        throw countError(callCount);
+      }
+      if (remaining.length > 0) {
+        throw new Error(
+          `Mock '${mockName}' is missing expected calls: ${remaining.map(formatCall).join(", ")}`,
+        );
       }
     },
     mockName
   };
 };
 
+/**
+ * Formats expected and actual call sequences side by side, marking the rows that differ
+ * @param {string[]} expected - Expected mock names in order
+ * @param {string[]} actual - Mock names in the order they were called
+ * @returns {string} Table with one row per position
+ * @example
+ * formatCallOrderDiff(['before', 'after'], ['after', 'before']);
+ * // "    #  expected  actual\n  ✗ 1  before    after\n  ✗ 2  after     before"
+ */
+const formatCallOrderDiff = (expected, actual) => {
+  const width = Math.max(
+    "expected".length,
+    ...expected.map((name) => name.length),
+  );
+  const rows = Array.from(
+    { length: Math.max(expected.length, actual.length) },
+    (_, index) => {
+      const want = expected[index] ?? "-";
+      const got = actual[index] ?? "-";
+      const marker = want === got ? " " : "✗";
+      return `  ${marker} ${index + 1}  ${want.padEnd(width)}  ${got}`;
+    },
+  );
+  return [`    #  ${"expected".padEnd(width)}  actual`, ...rows].join("\n");
+};
+
 /**
  * Validates all mocks were called as expected
  * @param {Object} mockFunctions - Map of mock name to mock function wrapper
- * @throws {Error} If any mock validation fails
+ * @param {Object} [options] - Case-level expectations
+ * @param {string[]} [options.callOrder] - Expected order of calls across mocks; only calls of the
+ *   listed mocks are compared, so a mock called twice is listed twice
+ * @throws {Error} If any mock validation fails or the calls happened in another order
  */
-export const validateMockCalls = (mockFunctions) => {
+export const validateMockCalls = (mockFunctions, { callOrder } = {}) => {
   for (const mockWrapper of Object.values(mockFunctions)) {
     mockWrapper.validate();
   }
+
+  if (!callOrder) {
+    return;
+  }
+  const unknown = callOrder.filter((name) => !(name in mockFunctions));
+  if (unknown.length > 0) {
+    throw new Error(
+      `callOrder names mocks that are not defined for this test case: ${[...new Set(unknown)].join(", ")}`,
+    );
+  }
+  const actual = Object.entries(mockFunctions)
+    .filter(([mockName]) => callOrder.includes(mockName))
+    .flatMap(([mockName, mockWrapper]) =>
+      mockWrapper.callIds().map((id) => ({ id, mockName })),
+    )
+    .sort((a, b) => a.id - b.id)
+    .map(({ mockName }) => mockName);
+  if (
+    actual.length !== callOrder.length ||
+    actual.some((name, index) => name !== callOrder[index])
+  ) {
+    throw new Error(
+      `Mock calls happened in a different order than callOrder:\n${formatCallOrderDiff(callOrder, actual)}`,
+    );
+  }
+};
+
+/**
+ * Combines the wrappers of an object or class mock's members into one mock wrapper
+ * @param {string} mockName - Name of the mock
+ * @param {Object|Function} value - The mock object or class that `$mock:name` resolves to
+ * @param {Object[]} memberWrappers - Wrappers of the methods (and the constructor of class mocks)
+ * @returns {Object} Mock wrapper validating every member
+ */
+const combineMockWrappers = (mockName, value, memberWrappers) => ({
+  mockFunction: value,
+  expectedCalls: memberWrappers.reduce(
+    (total, wrapper) => total + wrapper.expectedCalls,
+    0,
+  ),
+  actualCalls: () =>
+    memberWrappers.reduce((total, wrapper) => total + wrapper.actualCalls(), 0),
+  callIds: () => memberWrappers.flatMap((wrapper) => wrapper.callIds()),
+  validate: () => {
+    for (const wrapper of memberWrappers) {
+      wrapper.validate();
+    }
+  },
+  mockName,
+});
+
+/**
+ * Creates the method mocks of an object or class mock, named "mockName.method"
+ * @param {string} mockName - Name of the object or class mock
+ * @param {Object} [methods] - Map of method name to mock definition
+ * @param {Object} options - Options passed to every method mock
+ * @returns {Object} Map of method name to mock wrapper
+ */
+const createMethodMocks = (mockName, methods = {}, options) => {
+  const wrappers = {};
+  for (const [methodName, methodDef] of Object.entries(methods)) {
+    wrappers[methodName] = createMock(
+      `${mockName}.${methodName}`,
+      methodDef,
+      options,
+    );
+  }
+  return wrappers;
+};
+
+/**
+ * Creates a mock object (`type: object`): each method is its own mock, validated individually
+ * @param {string} mockName - Name of the mock for error reporting
+ * @param {Object} mockDefinition - Mock definition with `methods` and `properties`
+ * @param {Object} options - Options passed to every method mock
+ * @returns {Object} Mock wrapper whose `mockFunction` is the mock object
+ * @example
+ * // cache: { type: object, methods: { get: { calls: [...] } }, properties: { size: 2 } }
+ */
+const createObjectMock = (mockName, mockDefinition, options) => {
+  const methodWrappers = createMethodMocks(
+    mockName,
+    mockDefinition.methods,
+    options,
+  );
+  const object = deepClone(mockDefinition.properties || {});
+  for (const [methodName, wrapper] of Object.entries(methodWrappers)) {
+    object[methodName] = wrapper.mockFunction;
+  }
+  return combineMockWrappers(mockName, object, Object.values(methodWrappers));
+};
+
+/**
+ * Creates a mock class (`type: class`): constructor calls are checked against `construct`,
+ * and instances share the method mocks and get a copy of `properties`
+ * @param {string} mockName - Name of the mock for error reporting
+ * @param {Object} mockDefinition - Mock definition with `construct`, `methods` and `properties`
+ * @param {Object} options - Options passed to the constructor and method mocks
+ * @returns {Object} Mock wrapper whose `mockFunction` is the mock class
+ * @example
+ * // Client: { type: class, construct: { calls: [{ in: [url] }] }, methods: { fetch: {...} } }
+ */
+const createClassMock = (mockName, mockDefinition, options) => {
+  // Without `construct`, any number of instances may be created with any arguments
+  const constructorWrapper = createMockFunction(
+    `new ${mockName}`,
+    mockDefinition.construct || { ignoreArgs: true, minTimes: 0 },
+    options,
+  );
+  const methodWrappers = createMethodMocks(
+    mockName,
+    mockDefinition.methods,
+    options,
+  );
+
+  const MockClass = function (...args) {
+    if (!new.target) {
+      throw mockError(`Class mock '${mockName}' must be called with new`);
+    }
+    constructorWrapper.mockFunction(...args);
+    Object.assign(this, deepClone(mockDefinition.properties || {}));
+  };
+  Object.defineProperty(MockClass, "name", { value: mockName });
+  for (const [methodName, wrapper] of Object.entries(methodWrappers)) {
+    MockClass.prototype[methodName] = wrapper.mockFunction;
+  }
+
+  return combineMockWrappers(mockName, MockClass, [
+    constructorWrapper,
+    ...Object.values(methodWrappers),
+  ]);
+};
+
+/**
+ * Creates a mock of the kind given by its definition's `type` (function, object or class)
+ * @param {string} mockName - Name of the mock for error reporting
+ * @param {Object} mockDefinition - Mock definition
+ * @param {Object} options - Mock options (see createMockFunction)
+ * @returns {Object} Mock wrapper
+ * @throws {Error} If the type is unknown
+ */
+const createMock = (mockName, mockDefinition, options) => {
+  const type = mockDefinition.type ?? "function";
+  if (type === "object") {
+    return createObjectMock(mockName, mockDefinition, options);
+  }
+  if (type === "class") {
+    return createClassMock(mockName, mockDefinition, options);
+  }
+  if (type !== "function") {
+    throw new Error(
+      `Unknown type '${type}' for mock '${mockName}'. Supported types: function, object, class`,
+    );
+  }
+  return createMockFunction(mockName, mockDefinition, options);
 };
 
 /**
  * Creates mock functions from resolved mock definitions
  * @param {Object} resolvedMocks - Resolved mock definitions
- * @returns {Object} Map of mock name to mock function wrapper
+ * @param {Object} [options] - Options passed to every mock (see createMockFunction)
+ * @returns {Object} Map of mock name to mock wrapper; `type: object` and `type: class` mocks
+ *   wrap a mock object or class instead of a function
  */
-export const createMockFunctions = (resolvedMocks) => {
+export const createMockFunctions = (resolvedMocks, options = {}) => {
   const mockFunctions = {};
   
   for (const [mockName, mockDef] of Object.entries(resolvedMocks)) {
-    mockFunctions[mockName] = createMockFunction(mockName, mockDef);
+    mockFunctions[mockName] = createMock(mockName, mockDef, options);
   }
   
   return mockFunctions;
-};
\ No newline at end of file
+};
@@ -6,10 +6,54 @@
 
 import path from "node:path";
 import yaml from "js-yaml";
-import { expect, test, describe } from "vitest";
+import {
+  expect,
+  test,
+  describe,
+  vi,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  afterEach,
+} from "vitest";
 
-import { traverseAllFiles, parseWithIncludes } from "./utils.js";
-import { resolveMocks, processMockReferences, createMockFunctions, validateMockCalls } from "./mockResolver.js";
+import {
+  collectSpecFiles,
+  parseWithIncludes,
+  processDocuments,
+  deepClone,
+  isThenable,
+} from "./utils.js";
+import {
+  resolveMocks,
+  processMockReferences,
+  createMockFunctions,
+  validateMockCalls,
+  createModuleMockExports,
+  setActiveMocks,
+  isMockError,
+} from "./mockResolver.js";
+import { runAssertion } from "./assertions.js";
+import { matcherTypes } from "./matchers.js";
+import { runHooks } from "./hooks.js";
+import { resolveRuntimeReferences } from "./references.js";
+import { mergeFixtures, resolveFixtureReferences } from "./fixtures.js";
+import {
+  createSnapshotStore,
+  isSnapshotMarker,
+  snapshotType,
+} from "./snapshots.js";
+import { createRecorder } from "./recorder.js";
+import { assertError, describeErrorExpectation } from "./errors.js";
+import { consumeResult } from "./iterators.js";
+import {
+  mergeClockSettings,
+  startClock,
+  stopClock,
+  isClockStep,
+  runClockStep,
+  runTimersUntilSettled,
+} from "./clock.js";
 
 /**
  * Resolves a nested property path on an object (e.g., "user.profile.name")
@@ -75,6 +119,122 @@ const callNestedMethod = (obj, path, args = []) => {
   return current[methodName](...args);
 };
 
+/**
+ * Invokes a function and captures how it completed, awaiting a returned thenable
+ * @param {Function} fn - The function to invoke
+ * @returns {Promise<Object>} Outcome with `result` on success, or `error` together with
+ *   `threw` (synchronous throw) or `rejected` (returned promise rejected)
+ */
+const settle = async (fn) => {
+  let value;
+  try {
+    value = fn();
+  } catch (error) {
+    return { threw: true, error };
+  }
+  if (!isThenable(value)) {
+    return { result: value };
+  }
+  try {
+    return { result: await value };
+  } catch (error) {
+    return { rejected: true, error };
+  }
+};
+
+/**
+ * Asserts that a settled outcome failed with an error matching the expectation
+ * @param {Object} outcome - Outcome returned by settle
+ * @param {string|RegExp|Object} expected - Expected error message substring or pattern, or a
+ *   structured expectation `{ type, message, code, props, cause }`
+ * @param {Object} [options] - Matching options
+ * @param {boolean} [options.mustReject=false] - Whether only a rejected promise satisfies the expectation
+ * @param {Object} [options.module] - The imported module under test, used to resolve error classes
+ * @throws {Error} If the outcome did not fail the expected way
+ */
+const expectError = (
+  outcome,
+  expected,
+  { mustReject = false, module } = {},
+) => {
+  const description = describeErrorExpectation(expected);
+  if (mustReject && !outcome.rejected) {
+    throw new Error(
+      outcome.threw
+        ? `Expected a promise rejecting with "${description}" but the call threw synchronously: ${outcome.error?.message}`
+        : `Expected a promise rejecting with "${description}" but it resolved to ${JSON.stringify(outcome.result)}`,
+    );
+  }
+  if (!outcome.threw && !outcome.rejected) {
+    throw new Error(
+      `Expected an error "${description}" but the call returned ${JSON.stringify(outcome.result)}`,
+    );
+  }
+  assertError(outcome.error, expected, { module });
+};
+
+/**
+ * Verifies a settled outcome against the `out`, `throws` or `rejects` expectation of a case or execution
+ * @param {Object} outcome - Outcome returned by settle
+ * @param {Object} expectation - Expectation declared in YAML
+ * @param {any} [expectation.out] - Expected return (or resolved) value
+ * @param {string|RegExp|Object} [expectation.throws] - Expected error, thrown synchronously or as a rejection
+ * @param {string|RegExp|Object} [expectation.rejects] - Expected rejection of a returned promise
+ * @param {boolean} [expectation.checkOut=true] - Whether `out` is compared when the call succeeds
+ * @param {Object} [expectation.module] - The imported module under test, used to resolve error classes
+ * @throws {Error} If the outcome does not match the expectation
+ */
+const verifyOutcome = (
+  outcome,
+  { out, throws, rejects, checkOut = true, module },
+) => {
+  if (rejects) {
+    expectError(outcome, rejects, { mustReject: true, module });
+    return;
+  }
+  if (throws) {
+    expectError(outcome, throws, { module });
+    return;
+  }
+  if (outcome.threw || outcome.rejected) {
+    throw outcome.error;
+  }
+  if (checkOut) {
+    expect(outcome.result).toEqual(out);
+  }
+};
+
+/**
+ * Checks whether a case or execution leaves out every expectation, so record mode fills it in
+ * @param {Object} entry - Test case or class execution
+ * @returns {boolean} True if there is no `out`, `throws`, `rejects` or `snapshot`
+ */
+const lacksExpectation = ({ out, throws, rejects, snapshot }) =>
+  out === undefined && !throws && !rejects && !snapshot;
+
+/**
+ * Records a settled outcome into the spec file as `out`, `throws` or `rejects`
+ * @param {Object} recorder - Recorder from createRecorder
+ * @param {Object} entry - Test case or class execution loaded from a spec file
+ * @param {Object} outcome - Outcome returned by settle
+ * @returns {boolean} True if the outcome will be written (false for undefined results and
+ *   entries without a source location, such as cases expanded from `each` tables)
+ * @throws {Error} The error of a mock used other than its spec expects, which fails the test
+ *   instead of becoming the recorded expectation
+ */
+const recordOutcome = (recorder, entry, outcome) => {
+  if ((outcome.threw || outcome.rejected) && isMockError(outcome.error)) {
+    throw outcome.error;
+  }
+  if (outcome.threw) {
+    return recorder.record(entry, "throws", outcome.error.message);
+  }
+  if (outcome.rejected) {
+    return recorder.record(entry, "rejects", outcome.error.message);
+  }
+  return recorder.record(entry, "out", outcome.result);
+};
+
 /**
  * File extensions that are recognized as YAML test files
  * @type {string[]}
@@ -104,73 +264,120 @@ const extensions = [".test.yaml", ".test.yml", ".spec.yaml", ".spec.yml"];
  * const config = parseYamlDocuments(yamlContent);
  */
 export const parseYamlDocuments = (yamlContent) => {
-  const docs = yaml.loadAll(yamlContent);
-  const config = {
-    file: null,
-    group: null,
-    mocks: {},
-    suites: [],
-  };
-
-  let currentSuite = null;
+  const schema = yaml.DEFAULT_SCHEMA.extend([...matcherTypes, snapshotType]);
+  return processDocuments(yaml.loadAll(yamlContent, { schema }));
+};
 
-  for (const doc of docs) {
-    if (doc.file) {
-      config.file = doc.file;
-      config.group = doc.group || doc.name;
-      config.mocks = doc.mocks || {};
-      if (doc.suites) {
-        config.suiteNames = doc.suites;
-      }
-    } else if (doc.suite) {
-      if (currentSuite) {
-        config.suites.push(currentSuite);
-      }
-      currentSuite = {
-        name: doc.suite,
-        exportName: doc.exportName || doc.suite,
-        mocks: doc.mocks || {},
-        cases: [],
-      };
-      // Only add mode and constructorArgs if mode is explicitly 'class'
-      if (doc.mode === "class") {
-        currentSuite.mode = "class";
-        currentSuite.constructorArgs = doc.constructorArgs || [];
-      }
-    } else if (doc.case && currentSuite) {
-      const testCase = {
-        name: doc.case,
-        mocks: doc.mocks || {},
-        resolvedMocks: null,
-      };
+/**
+ * Picks the vitest variant (`.skip`, `.only`, `.todo`) matching the run flags of a group, suite or case
+ * @param {Function} runner - vitest `describe` or `test`
+ * @param {Object} flags - Object carrying optional `skip`, `only` and `todo` flags
+ * @returns {Function} The runner variant to register with
+ */
+const withRunFlags = (runner, { skip, only, todo }) => {
+  if (todo) {
+    return runner.todo;
+  }
+  if (skip) {
+    return runner.skip;
+  }
+  if (only) {
+    return runner.only;
+  }
+  return runner;
+};
 
-      if (currentSuite.mode === "class") {
-        testCase.executions = doc.executions || [];
-      } else {
-        testCase.in = doc.in || [];
-        testCase.out = doc.out;
-        if (doc.throws) {
-          testCase.throws = doc.throws;
-        }
-      }
+/**
+ * Builds the reported name of a group, suite or case, appending the reason of `skip: "reason"` or `todo: "reason"`
+ * @param {string} name - Group, suite or case name
+ * @param {Object} flags - Object carrying optional `skip` and `todo` flags
+ * @returns {string} The name to register
+ */
+const nameWithReason = (name, { skip, todo }) => {
+  const reason = [todo, skip].find((flag) => typeof flag === "string");
+  return reason ? `${name} (${reason})` : name;
+};
 
-      currentSuite.cases.push(testCase);
-    }
+/**
+ * Registers a vitest test for a case, honouring its `skip`, `only` and `todo` flags
+ * @param {Object} testCase - Test case carrying its name and run flags
+ * @param {Function} fn - Test body
+ */
+const registerTest = (testCase, fn) => {
+  const name = nameWithReason(testCase.name, testCase);
+  if (testCase.todo) {
+    test.todo(name);
+    return;
   }
+  withRunFlags(test, testCase)(name, fn);
+};
 
-  if (currentSuite) {
-    config.suites.push(currentSuite);
+/**
+ * Registers the group- or suite-level hooks with vitest
+ * `setup`/`teardown` run once around the group or suite, `setupEach`/`teardownEach` around each of its cases.
+ * @param {Object} level - Test config or suite carrying optional hook lists
+ * @param {Object} scope - Scope receiving values saved by the hooks (`as:`)
+ * @param {Object} context - Modules hooks are looked up in (`hooks`, `module`)
+ */
+const registerHooks = (level, scope, context) => {
+  const { setup, teardown, setupEach, teardownEach } = level;
+  if (setup) {
+    beforeAll(() => runHooks(setup, scope, context));
+  }
+  if (setupEach) {
+    beforeEach(() => runHooks(setupEach, scope, context));
+  }
+  if (teardownEach) {
+    afterEach(() => runHooks(teardownEach, scope, context));
   }
+  if (teardown) {
+    afterAll(() => runHooks(teardown, scope, context));
+  }
+};
 
-  return config;
+/**
+ * Stores the values named by `save:` in the suite's variables, for later `$var:` references
+ * @param {string|Object} save - Variable name for the whole result, or map of variable name to a
+ *   path starting at `result` or `instance` (e.g. "result.id", "instance.items.length")
+ * @param {Object} sources - Values paths start at: `result` and, in class, factory and module
+ *   cases, `instance` (the map of named instances when the case declares `instances`, the module
+ *   in module suites)
+ * @param {Object} vars - Variables of the suite
+ * @throws {Error} If a path does not exist
+ * @example
+ * saveVariables({ userId: 'result.id' }, { result: { id: 7 } }, vars); // vars.userId === 7
+ */
+const saveVariables = (save, sources, vars) => {
+  const paths = typeof save === "string" ? { [save]: "result" } : save;
+  for (const [name, valuePath] of Object.entries(paths)) {
+    vars[name] = getNestedProperty(sources, valuePath);
+  }
 };
 
+/**
+ * Builds the name a case's snapshot is stored under ("group > suite > case")
+ * @param {Object} context - Test context carrying the `group` name
+ * @param {Object} suite - Test suite of the case
+ * @param {string} caseName - Test case name
+ * @returns {string} Snapshot name
+ */
+const snapshotName = (context, suite, caseName) =>
+  [context.group, suite.name, caseName].join(" > ");
+
 /**
  * Sets up and registers test suites with the testing framework (vitest)
  * @param {Object} testConfig - Test configuration object containing suites and cases
  * @param {string} testConfig.group - Name of the test group (used as describe block name)
  * @param {Object[]} testConfig.suites - Array of test suite objects
- * @param {boolean} [testConfig.skip] - Whether to skip this entire test suite
+ * @param {boolean|string} [testConfig.skip] - Whether to skip this entire test group (a string gives the reason)
+ * @param {boolean} [testConfig.only] - Whether to run only this group
+ * @param {boolean|string} [testConfig.todo] - Whether to report this group as todo
+ * @param {Object} [testConfig.clock] - Clock settings for every case (`now`, `fakeTimers`), merged with suite and case settings
+ * @param {Object} context - Modules used while running the tests
+ * @param {Object} context.module - The imported module under test
+ * @param {Object} [context.hooks] - The imported hooks module, if the config declares `hooks:`
+ * @param {Object} context.snapshots - Snapshot store of the spec file
+ * @param {Object} [context.recorder] - Recorder writing missing expectations back in record mode
  * @example
  * setupTestSuite({
  *   group: 'math',
@@ -178,22 +385,38 @@ export const parseYamlDocuments = (yamlContent) => {
  *     name: 'add',
  *     cases: [{ name: 'add 1+2', functionUnderTest: addFn, in: [1,2], out: 3 }]
  *   }]
- * });
+ * }, { module, snapshots });
  */
-const setupTestSuite = (testConfig) => {
-  const { group, suites, skip } = testConfig;
-  if (skip) {
-    return;
-  }
-  describe(group, () => {
+const setupTestSuite = (testConfig, context) => {
+  const { group, suites } = testConfig;
+  withRunFlags(describe, testConfig)(nameWithReason(group, testConfig), () => {
+    // Values saved by hooks are visible to nested levels through the prototype chain
+    const groupScope = {};
+    registerHooks(testConfig, groupScope, context);
+    // New and updated snapshots (and recorded values) are written once every case of the file has run
+    afterAll(() => {
+      context.snapshots.save();
+      context.recorder?.save();
+    });
+
     for (const suite of suites) {
-      describe(suite.name, () => {
+      withRunFlags(describe, suite)(nameWithReason(suite.name, suite), () => {
         const { cases, mode } = suite;
+        const suiteScope = Object.create(groupScope);
+        registerHooks(suite, suiteScope, context);
 
-        if (mode === "class") {
-          setupClassTests(suite);
+        const suiteContext = {
+          ...context,
+          group,
+          scope: suiteScope,
+          clock: mergeClockSettings(testConfig.clock, suite.clock),
+          // Values saved with `save:`, shared by the cases of the suite in order
+          vars: {},
+        };
+        if (mode === "class" || mode === "factory" || mode === "module") {
+          setupExecutionTests(suite, suiteContext);
         } else {
-          setupFunctionTests(suite);
+          setupFunctionTests(suite, suiteContext);
         }
       });
     }
@@ -206,11 +429,17 @@ const setupTestSuite = (testConfig) => {
  * @param {Object[]} suite.cases - Array of test case objects
  * @param {string} suite.cases[].name - Test case name
  * @param {any[]} suite.cases[].in - Input arguments for the function
- * @param {any} suite.cases[].out - Expected output value
+ * @param {any} suite.cases[].out - Expected output value (the resolved value for async functions)
  * @param {Function} suite.cases[].functionUnderTest - The function to test
- * @param {string|RegExp} [suite.cases[].throws] - Expected error message/pattern if function should throw
+ * @param {string|RegExp} [suite.cases[].throws] - Expected error message/pattern if function should throw or reject
+ * @param {string|RegExp} [suite.cases[].rejects] - Expected error message/pattern if the returned promise should reject
+ * @param {boolean} [suite.cases[].snapshot] - Whether the result is compared with the stored snapshot instead of `out`
+ * @param {boolean} [suite.cases[].iterate] - Whether the returned (async) iterable is drained and its values compared
+ * @param {number} [suite.cases[].take] - Maximum number of values drained with `iterate`
+ * @param {Object} context - Test context with `module`, `hooks`, the `group` name, the `snapshots` store,
+ *   the suite `scope` of saved hook values, the group and suite `clock` settings and the suite `vars`
  */
-const setupFunctionTests = (suite) => {
+const setupFunctionTests = (suite, context) => {
   const { cases } = suite;
   for (const testCase of cases) {
     const {
@@ -219,90 +448,363 @@ const setupFunctionTests = (suite) => {
       out: expectedOut,
       functionUnderTest,
       throws,
+      rejects,
       mockFunctions,
     } = testCase;
-    test(name, () => {
+    registerTest(testCase, async () => {
       if (!functionUnderTest) {
         throw new Error(`Function not found for test case: ${name}`);
       }
 
+      const scope = Object.create(context.scope);
+      const resolve = (value) =>
+        resolveRuntimeReferences(value, { setup: scope, var: context.vars });
+
+      const clock = mergeClockSettings(context.clock, testCase.clock);
+      setActiveMocks(mockFunctions);
       try {
-        if (throws) {
-          // Test expects an error to be thrown
-          expect(() => functionUnderTest(...(inArg || []))).toThrow(throws);
-        } else {
-          const out = functionUnderTest(...(inArg || []));
-          expect(out).toEqual(expectedOut);
+        if (clock) {
+          startClock(clock);
+        }
+        await runHooks(testCase.setup, scope, context);
+
+        const args = resolve(inArg || []);
+        // `iterate` drains a returned generator, so `out` lists the values it yields
+        // Without clock steps, fake timers the function waits for are run as it awaits them
+        const outcome = await runTimersUntilSettled(
+          settle(() => consumeResult(functionUnderTest(...args), testCase)),
+        );
+        const recorded =
+          context.recorder &&
+          lacksExpectation(testCase) &&
+          recordOutcome(context.recorder, testCase, outcome);
+        if (!recorded) {
+          verifyOutcome(outcome, {
+            out: resolve(expectedOut),
+            throws: resolve(throws),
+            rejects: resolve(rejects),
+            checkOut: !testCase.snapshot,
+            module: context.module,
+          });
+        }
+        if (testCase.snapshot) {
+          context.snapshots.match(
+            snapshotName(context, suite, name),
+            outcome.result,
+          );
+        }
+        if (testCase.save) {
+          saveVariables(
+            testCase.save,
+            { result: outcome.result },
+            context.vars,
+          );
         }
         
         // Validate mock calls after test execution
         if (mockFunctions && Object.keys(mockFunctions).length > 0) {
-          validateMockCalls(mockFunctions);
+          validateMockCalls(mockFunctions, { callOrder: testCase.callOrder });
         }
       } finally {
-        // Cleanup mocks after test
+        // Cleanup mocks and the clock after test
+        if (clock) {
+          stopClock();
+        }
+        setActiveMocks(null);
         if (mockFunctions) {
           Object.values(mockFunctions).forEach(mock => mock.mockFunction.mockClear?.());
         }
+        await runHooks(testCase.teardown, scope, context);
       }
     });
   }
 };
 
 /**
- * Sets up individual test cases for class-based testing
- * @param {Object} suite - Test suite configuration for class testing
+ * Creates an object the executions of a class or factory suite run against
+ * @param {Object} suite - Class suite (`ClassUnderTest`) or factory suite (`factoryUnderTest`)
+ * @param {any[]} args - Resolved constructor or factory arguments
+ * @returns {Promise<Object>} The new instance, or the (awaited) object returned by the factory
+ * @throws {Error} If the class or factory was not injected, or construction fails
+ */
+const createSubject = async (suite, args) => {
+  if (suite.mode === "factory") {
+    if (!suite.factoryUnderTest) {
+      throw new Error(`Factory not found for test suite: ${suite.name}`);
+    }
+    return suite.factoryUnderTest(...args);
+  }
+  if (!suite.ClassUnderTest) {
+    throw new Error(`Class not found for test suite: ${suite.name}`);
+  }
+  return new suite.ClassUnderTest(...args);
+};
+
+/**
+ * Returns the path inside the class when an execution or assertion addresses a static member
+ * `static: true` makes the whole path static; otherwise a path starting with the class name
+ * ("User.fromJSON") is static, unless the case declares an instance with that name.
+ * @param {Object} entry - Execution or assertion
+ * @param {string} memberPath - Its method or property path
+ * @param {string} [className] - Export name of the class under test, as the spec writes it
+ *   (class suites only)
+ * @param {Object|null} instances - Named instances of the case, or null
+ * @returns {string|null} The path of the static member, or null for instance members
+ */
+const staticMemberPath = (entry, memberPath, className, instances) => {
+  if (entry.static === true) {
+    return memberPath;
+  }
+  const [first, ...rest] = memberPath.split(".");
+  const isClassPrefix =
+    className !== undefined && first === className && rest.length > 0;
+  return isClassPrefix && !(instances && Object.hasOwn(instances, first))
+    ? rest.join(".")
+    : null;
+};
+
+/**
+ * Checks whether every execution and assertion of a case addresses a static member, in which
+ * case no instance is constructed
+ * Clock steps address no member; a case without any members still constructs its instance.
+ * @param {Object[]} executions - Executions of the case
+ * @param {string} [className] - Export name of the class under test (class suites only)
+ * @returns {boolean} True when the case only uses statics
+ */
+const onlyAddressesStatics = (executions, className) => {
+  const members = executions.flatMap((execution) => [
+    ...(execution.method === undefined ? [] : [[execution, execution.method]]),
+    ...(execution.asserts || []).map((assertion) => [
+      assertion,
+      assertion.property ?? assertion.method,
+    ]),
+  ]);
+  return (
+    members.length > 0 &&
+    members.every(
+      ([entry, memberPath]) =>
+        staticMemberPath(entry, memberPath, className, null) !== null,
+    )
+  );
+};
+
+/**
+ * Finds the object a method or property path of an execution starts at
+ * Static members start at the class; with named `instances`, the first segment names the
+ * instance ("savings.deposit"); otherwise the whole path belongs to the single instance.
+ * @param {Object} subject - What the case runs against
+ * @param {Object} subject.instance - The single instance (the module in module suites)
+ * @param {Object|null} subject.instances - Named instances of the case, or null
+ * @param {Function} [subject.ClassUnderTest] - The class, whose statics executions may address
+ * @param {string} [subject.className] - Export name of the class, which static paths may start with
+ * @param {Object} entry - Execution or assertion holding the path (for its `static` flag)
+ * @param {string} memberPath - Method or property path from the YAML
+ * @returns {{target: Object, path: string}} The object and the path inside it (empty for the
+ *   instance itself)
+ * @throws {Error} If a static member is addressed outside a class suite, or the path does not
+ *   start with a declared instance name
+ */
+const locateMember = (
+  { instance, instances, ClassUnderTest, className },
+  entry,
+  memberPath,
+) => {
+  const staticPath = staticMemberPath(entry, memberPath, className, instances);
+  if (staticPath !== null) {
+    if (!ClassUnderTest) {
+      throw new Error(
+        `'${memberPath}' is marked static, but only class suites have static members`,
+      );
+    }
+    return { target: ClassUnderTest, path: staticPath };
+  }
+  if (!instances) {
+    return { target: instance, path: memberPath };
+  }
+  const [instanceName, ...rest] = memberPath.split(".");
+  if (!Object.hasOwn(instances, instanceName)) {
+    throw new Error(
+      `'${memberPath}' does not start with an instance name (${Object.keys(instances).join(", ")})`,
+    );
+  }
+  return { target: instances[instanceName], path: rest.join(".") };
+};
+
+/**
+ * Sets up individual test cases that run executions step by step against an object:
+ * an instance of the class under test (`mode: class`), the result of a factory (`mode: factory`)
+ * or the module under test itself (`mode: module`)
+ * @param {Object} suite - Test suite configuration for class, factory or module testing
  * @param {Object[]} suite.cases - Array of test case objects
  * @param {string} suite.cases[].name - Test case name  
  * @param {Object[]} suite.cases[].executions - Array of method executions to perform
- * @param {Function} suite.ClassUnderTest - The class constructor to test
- * @param {any[]} suite.constructorArgs - Arguments to pass to class constructor
+ * @param {Function} [suite.ClassUnderTest] - The class constructor to test (class mode)
+ * @param {string} [suite.className] - Export name of the class, used for `ClassName.` static paths
+ * @param {any[]} [suite.constructorArgs] - Arguments to pass to class constructor
+ * @param {Function} [suite.factoryUnderTest] - The factory whose result is tested (factory mode)
+ * @param {any[]} [suite.factoryArgs] - Arguments to pass to the factory
+ * @param {Object} context - Test context with `module` (used to resolve class names in assertions
+ *   and run against in module suites),
+ *   `hooks`, the `group` name, the `snapshots` store, the suite `scope` of saved hook values,
+ *   the group and suite `clock` settings and the suite `vars` saved with `save:`
  */
-const setupClassTests = (suite) => {
-  const { cases, ClassUnderTest, constructorArgs } = suite;
+const setupExecutionTests = (suite, context) => {
+  const { cases } = suite;
+  const { module } = context;
+  // Case-level arguments override the suite's
+  const argsKey = suite.mode === "factory" ? "factoryArgs" : "constructorArgs";
   for (const testCase of cases) {
     const { name, executions, mockFunctions } = testCase;
-    test(name, () => {
-      if (!ClassUnderTest) {
-        throw new Error(`Class not found for test suite: ${suite.name}`);
-      }
-
-      const instance = new ClassUnderTest(...constructorArgs);
+    registerTest(testCase, async () => {
+      const scope = Object.create(context.scope);
+      // Named instances are created in order, so later ones can receive earlier ones as $instance:name
+      const instances = testCase.instances ? {} : null;
+      let instance = null;
+      const resolve = (value) =>
+        resolveRuntimeReferences(value, {
+          setup: scope,
+          var: context.vars,
+          instance: instances,
+        });
+      const locate = (entry, memberPath) =>
+        locateMember(
+          {
+            instance,
+            instances,
+            ClassUnderTest: suite.ClassUnderTest,
+            className: suite.className,
+          },
+          entry,
+          memberPath,
+        );
+      const readMember = (entry, memberPath) => {
+        const { target, path: rest } = locate(entry, memberPath);
+        return rest ? getNestedProperty(target, rest) : target;
+      };
+      const callMember = (entry, memberPath, args) => {
+        const { target, path: rest } = locate(entry, memberPath);
+        return callNestedMethod(target, rest, args);
+      };
 
+      const clock = mergeClockSettings(context.clock, testCase.clock);
+      setActiveMocks(mockFunctions);
       try {
-        for (const execution of executions) {
+        if (clock) {
+          startClock(clock);
+        }
+        await runHooks(testCase.setup, scope, context);
+
+        const subjectArgs = testCase[argsKey] ?? suite[argsKey];
+        if (suite.mode === "module") {
+          // The module keeps its state between executions and cases
+          instance = module;
+        } else if (testCase.constructorThrows) {
+          const outcome = await settle(() =>
+            createSubject(suite, resolve(subjectArgs)),
+          );
+          expectError(outcome, resolve(testCase.constructorThrows), { module });
+        } else if (instances) {
+          for (const [instanceName, instanceArgs] of Object.entries(
+            testCase.instances,
+          )) {
+            instances[instanceName] = await createSubject(
+              suite,
+              resolve(instanceArgs),
+            );
+          }
+        } else if (!onlyAddressesStatics(executions, suite.className)) {
+          instance = await createSubject(suite, resolve(subjectArgs));
+        }
+
+        for (const [index, execution] of executions.entries()) {
           const {
             method,
             in: inArg,
             out: expectedOut,
             throws,
+            rejects,
             asserts,
           } = execution;
 
-          // Execute the method and check its return value - supports nested methods
-          if (throws) {
-            expect(() => callNestedMethod(instance, method, inArg || [])).toThrow(throws);
+          // Clock steps move fake time forward instead of calling a method
+          let result;
+          if (isClockStep(execution)) {
+            await runClockStep(execution);
           } else {
-            const result = callNestedMethod(instance, method, inArg || []);
-            if (expectedOut !== undefined) {
-              expect(result).toEqual(expectedOut);
+            // Execute the method and check its (awaited) return value - supports nested methods
+            const args = resolve(inArg || []);
+            const outcome = await settle(() =>
+              consumeResult(callMember(execution, method, args), {
+                ...execution,
+                next: resolve(execution.next),
+              }),
+            );
+            const snapshot =
+              execution.snapshot === true || isSnapshotMarker(expectedOut);
+            const recorded =
+              context.recorder &&
+              lacksExpectation(execution) &&
+              recordOutcome(context.recorder, execution, outcome);
+            if (!recorded) {
+              verifyOutcome(outcome, {
+                out: resolve(expectedOut),
+                throws: resolve(throws),
+                rejects: resolve(rejects),
+                checkOut: expectedOut !== undefined && !snapshot,
+                module,
+              });
+            }
+            if (snapshot) {
+              context.snapshots.match(
+                `${snapshotName(context, suite, name)} > execution ${index + 1}`,
+                outcome.result,
+              );
             }
+            result = outcome.result;
+          }
+          if (execution.save) {
+            saveVariables(
+              execution.save,
+              { result, instance: instance ?? instances },
+              context.vars,
+            );
           }
 
           // Run assertions
           if (asserts) {
-            for (const assertion of asserts) {
-              if (assertion.property) {
+            for (const assertion of resolve(asserts)) {
+              if (assertion.throws) {
+                // Reading the property (a getter) or calling the method must fail
+                const outcome = await settle(() =>
+                  assertion.property
+                    ? readMember(assertion, assertion.property)
+                    : callMember(
+                        assertion,
+                        assertion.method,
+                        assertion.in || [],
+                      ),
+                );
+                expectError(outcome, assertion.throws, { module });
+              } else if (assertion.property) {
                 // Property assertion - supports nested properties like "user.profile.name"
-                const actualValue = getNestedProperty(instance, assertion.property);
-                if (assertion.op === "eq") {
-                  expect(actualValue).toEqual(assertion.value);
-                }
-                // Add more operators as needed
+                const actualValue = readMember(assertion, assertion.property);
+                runAssertion(actualValue, assertion, {
+                  label: `property '${assertion.property}'`,
+                  module,
+                });
               } else if (assertion.method) {
                 // Method assertion - supports nested methods like "user.api.getData"
-                const result = callNestedMethod(instance, assertion.method, assertion.in || []);
-                expect(result).toEqual(assertion.out);
+                const result = await callMember(
+                  assertion,
+                  assertion.method,
+                  assertion.in || [],
+                );
+                // Without an operator the result is compared with `out`
+                runAssertion(
+                  result,
+                  assertion.op ? assertion : { op: "eq", value: assertion.out },
+                  { label: `method '${assertion.method}'`, module },
+                );
               }
             }
           }
@@ -310,13 +812,18 @@ const setupClassTests = (suite) => {
         
         // Validate mock calls after test execution
         if (mockFunctions && Object.keys(mockFunctions).length > 0) {
-          validateMockCalls(mockFunctions);
+          validateMockCalls(mockFunctions, { callOrder: testCase.callOrder });
         }
       } finally {
-        // Cleanup mocks after test
+        // Cleanup mocks and the clock after test
+        if (clock) {
+          stopClock();
+        }
+        setActiveMocks(null);
         if (mockFunctions) {
           Object.values(mockFunctions).forEach(mock => mock.mockFunction.mockClear?.());
         }
+        await runHooks(testCase.teardown, scope, context);
       }
     });
   }
@@ -326,6 +833,9 @@ const setupClassTests = (suite) => {
  * Injects functions and classes from an imported module into test configuration objects
  * @param {Object} module - The imported JavaScript module containing functions/classes to test
  * @param {Object} originalTestConfig - Original test configuration object
+ * @param {Object} [options] - Injection options
+ * @param {Object} [options.recorder] - Record mode recorder, passed to the created mocks
+ * @param {Object} [options.spyModules] - Modules that spy mocks with a `file` wrap (see importSpyModules)
  * @returns {Object} Test configuration with injected functions/classes ready for testing
  * @throws {Error} When required exports are not found in the module
  * @example
@@ -337,38 +847,70 @@ const setupClassTests = (suite) => {
  * const ready = injectFunctions(module, testConfig);
  * // ready.suites[0].cases[0].functionUnderTest === module.add
  */
-export const injectFunctions = (module, originalTestConfig) => {
-  const testConfig = structuredClone(originalTestConfig);
+export const injectFunctions = (
+  module,
+  originalTestConfig,
+  { recorder, spyModules } = {},
+) => {
+  // Matchers from YAML tags are class instances, so they are kept by reference
+  const testConfig = deepClone(originalTestConfig);
   let functionUnderTest = module[testConfig.exportName || "default"];
 
   for (const suite of testConfig.suites) {
     for (const testCase of suite.cases) {
+      // Fixtures follow the same hierarchy as mocks: case -> suite -> global
+      const fixtures = mergeFixtures(
+        testConfig.fixtures,
+        suite.fixtures,
+        testCase.fixtures,
+      );
+
       // Resolve mocks for this test case using hierarchy
-      testCase.resolvedMocks = resolveMocks(
-        testCase.mocks,
-        suite.mocks,
-        testConfig.mocks
+      testCase.resolvedMocks = resolveFixtureReferences(
+        resolveMocks(testCase.mocks, suite.mocks, testConfig.mocks),
+        fixtures,
       );
       
       // Create mock functions from resolved mock definitions
-      testCase.mockFunctions = createMockFunctions(testCase.resolvedMocks);
-      
-      // Process mock references in test inputs and outputs
-      if (testCase.in) {
-        testCase.in = processMockReferences(testCase.in, testCase.mockFunctions);
-      }
-      if (testCase.out) {
-        testCase.out = processMockReferences(testCase.out, testCase.mockFunctions);
+      testCase.mockFunctions = createMockFunctions(testCase.resolvedMocks, {
+        recorder,
+        module,
+        spyModules,
+      });
+
+      // Process mock and fixture references in test inputs and expectations
+      const processReferences = (value) =>
+        processMockReferences(value, testCase.mockFunctions, fixtures);
+      const caseKeys = [
+        "in",
+        "out",
+        "throws",
+        "rejects",
+        "constructorArgs",
+        "factoryArgs",
+        "constructorThrows",
+        "instances",
+      ];
+      for (const key of caseKeys) {
+        if (testCase[key]) {
+          testCase[key] = processReferences(testCase[key]);
+        }
       }
       
-      // Process mock references in class test executions
+      // Process mock and fixture references in class test executions
       if (testCase.executions) {
         for (const execution of testCase.executions) {
-          if (execution.in) {
-            execution.in = processMockReferences(execution.in, testCase.mockFunctions);
-          }
-          if (execution.out) {
-            execution.out = processMockReferences(execution.out, testCase.mockFunctions);
+          for (const key of [
+            "in",
+            "out",
+            "throws",
+            "rejects",
+            "next",
+            "asserts",
+          ]) {
+            if (execution[key]) {
+              execution[key] = processReferences(execution[key]);
+            }
           }
         }
       }
@@ -383,7 +925,27 @@ export const injectFunctions = (module, originalTestConfig) => {
         );
       }
       suite.ClassUnderTest = exported;
-    } else {
+      // Static paths use the name the spec knows the class by, not its (possibly minified) own name
+      suite.className = exportName;
+      suite.constructorArgs = resolveFixtureReferences(
+        suite.constructorArgs,
+        mergeFixtures(testConfig.fixtures, suite.fixtures),
+      );
+    } else if (suite.mode === "factory") {
+      const exportName = suite.exportName || "default";
+      const exported = module[exportName];
+      if (typeof exported !== "function") {
+        throw new Error(
+          `Export '${exportName}' not found in module for factory suite '${suite.name}'`,
+        );
+      }
+      suite.factoryUnderTest = exported;
+      suite.factoryArgs = resolveFixtureReferences(
+        suite.factoryArgs,
+        mergeFixtures(testConfig.fixtures, suite.fixtures),
+      );
+    } else if (suite.mode !== "module") {
+      // Module suites run their executions against the module namespace itself
       if (suite.exportName) {
         functionUnderTest = module[suite.exportName];
         if (!functionUnderTest) {
@@ -401,35 +963,225 @@ export const injectFunctions = (module, originalTestConfig) => {
 };
 
 /**
- * Discovers and sets up test suites from all YAML test files in a directory and its subdirectories
- * @param {string} dirname - Directory path to search for YAML test files
+ * Imports the module under test, replacing the modules declared under `moduleMocks` first
+ * @param {string} modulePath - Absolute path of the module under test
+ * @param {Object} [moduleMocks] - Map of module path (relative to the spec file) to export mocks
+ * @param {string} specDir - Directory of the spec file
+ * @returns {Promise<Object>} The imported module namespace
+ */
+const importModuleUnderTest = async (modulePath, moduleMocks, specDir) => {
+  if (!moduleMocks || Object.keys(moduleMocks).length === 0) {
+    return import(modulePath);
+  }
+
+  const mockedPaths = [];
+  for (const [mockedModule, exportMocks] of Object.entries(moduleMocks)) {
+    const mockedPath = path.resolve(specDir, mockedModule);
+    const replacements = createModuleMockExports(mockedModule, exportMocks);
+    vi.doMock(mockedPath, async (importOriginal) => ({
+      ...(await importOriginal()),
+      ...replacements,
+    }));
+    mockedPaths.push(mockedPath);
+  }
+
+  try {
+    // Drop cached copies so the module under test is evaluated against the mocks
+    vi.resetModules();
+    return await import(modulePath);
+  } finally {
+    for (const mockedPath of mockedPaths) {
+      vi.doUnmock(mockedPath);
+    }
+  }
+};
+
+/**
+ * Imports the modules that spy mocks name with `file`, including spies on object and class methods
+ * @param {Object} testConfig - Parsed test configuration
+ * @param {string} specDir - Directory of the spec file, which `file` paths are relative to
+ * @returns {Promise<Object>} Map of `file` (as written) to the imported module
+ */
+const importSpyModules = async (testConfig, specDir) => {
+  const spyModules = {};
+  const levels = [
+    testConfig.mocks,
+    ...testConfig.suites.flatMap((suite) => [
+      suite.mocks,
+      ...suite.cases.map((testCase) => testCase.mocks),
+    ]),
+  ];
+  const definitions = levels
+    .flatMap((mocks) => Object.values(mocks || {}))
+    .flatMap((mockDef) => [mockDef, ...Object.values(mockDef?.methods || {})]);
+  for (const { spy, file } of definitions) {
+    if (spy !== undefined && file !== undefined && !(file in spyModules)) {
+      spyModules[file] = await import(path.resolve(specDir, file));
+    }
+  }
+  return spyModules;
+};
+
+/**
+ * Parses a name filter given as an array or a comma-separated string (e.g. from an env variable)
+ * @param {string|string[]} [value] - Filter value
+ * @returns {string[]|null} List of names, or null when no filter is set
+ */
+const parseNameFilter = (value) => {
+  if (!value) {
+    return null;
+  }
+  const names = []
+    .concat(value)
+    .flatMap((item) => String(item).split(","))
+    .map((name) => name.trim())
+    .filter(Boolean);
+  return names.length > 0 ? names : null;
+};
+
+/**
+ * Checks whether a boolean environment variable is switched on
+ * @param {string} name - Environment variable name
+ * @returns {boolean} True if the variable is "1" or "true"
+ */
+const isEnvFlagSet = (name) => ["1", "true"].includes(process.env[name]);
+
+/**
+ * Applies the group, suite and case name filters to a parsed spec file
+ * @param {Object} testConfig - Processed test configuration of one spec file
+ * @param {Object} filters - Name lists per filter (`groups`, `suites`, `cases`), null when unset
+ * @param {Object} matched - Sets collecting the names each filter matched, per filter
+ * @returns {Object|null} The configuration with only the selected suites and cases,
+ *   or null when nothing in the file is selected
+ */
+const applyNameFilters = (testConfig, filters, matched) => {
+  if (filters.groups) {
+    if (!filters.groups.includes(String(testConfig.group))) {
+      return null;
+    }
+    matched.groups.add(String(testConfig.group));
+  }
+
+  let suites = testConfig.suites;
+  if (filters.suites) {
+    suites = suites.filter((suite) =>
+      filters.suites.includes(String(suite.name)),
+    );
+    suites.forEach((suite) => matched.suites.add(String(suite.name)));
+  }
+  if (filters.cases) {
+    suites = suites
+      .map((suite) => ({
+        ...suite,
+        cases: suite.cases.filter((testCase) =>
+          filters.cases.includes(String(testCase.name)),
+        ),
+      }))
+      .filter((suite) => suite.cases.length > 0);
+    suites.forEach((suite) =>
+      suite.cases.forEach((testCase) =>
+        matched.cases.add(String(testCase.name)),
+      ),
+    );
+  }
+
+  return suites.length > 0 ? { ...testConfig, suites } : null;
+};
+
+/**
+ * Discovers and sets up test suites from YAML test files
+ * @param {string|string[]} [targets=process.cwd()] - Directories to search recursively, spec files
+ *   or glob patterns (e.g. "specs/**\/*.test.yaml")
+ * @param {Object} [options] - Setup options
+ * @param {string|string[]} [options.groups=process.env.PUTY_GROUP] - Only run spec files of these groups
+ * @param {string|string[]} [options.suites=process.env.PUTY_SUITE] - Only run suites with these names
+ *   (array or comma-separated string)
+ * @param {string|string[]} [options.cases=process.env.PUTY_CASE] - Only run cases with these names
+ * @param {boolean} [options.update] - Rewrite snapshots instead of comparing them (defaults to
+ *   PUTY_UPDATE being "1" or "true")
+ * @param {boolean} [options.record] - Write the results of cases, executions and mock calls that
+ *   leave out their expected value back into the spec files (defaults to PUTY_RECORD)
  * @returns {Promise<void>} Promise that resolves when all test suites are set up
- * @throws {Error} When YAML files cannot be parsed or modules cannot be imported
+ * @throws {Error} When no spec file is found, YAML files cannot be parsed, modules cannot be
+ *   imported, or a name filter matches nothing
  * @example
- * // Set up all test suites from YAML files in the current directory
- * await setupTestSuiteFromYaml('.');
+ * // Set up all test suites from YAML files below the current working directory
+ * await setupTestSuiteFromYaml();
  * 
  * // Set up tests from a specific directory
  * await setupTestSuiteFromYaml('./tests');
  * 
- * // This will find all files matching: *.test.yaml, *.test.yml, *.spec.yaml, *.spec.yml
+ * // Only run the 'add' suite (same as PUTY_SUITE=add)
+ * await setupTestSuiteFromYaml('./tests', { suites: ['add'] });
+ *
+ * // Directories are searched for: *.test.yaml, *.test.yml, *.spec.yaml, *.spec.yml
  */
-export const setupTestSuiteFromYaml = async (dirname) => {
-  const testYamlFiles = traverseAllFiles(dirname, extensions);
+export const setupTestSuiteFromYaml = async (
+  targets = process.cwd(),
+  options = {},
+) => {
+  const filters = {
+    groups: parseNameFilter(options.groups ?? process.env.PUTY_GROUP),
+    suites: parseNameFilter(options.suites ?? process.env.PUTY_SUITE),
+    cases: parseNameFilter(options.cases ?? process.env.PUTY_CASE),
+  };
+  const matched = { groups: new Set(), suites: new Set(), cases: new Set() };
+  const update = options.update ?? isEnvFlagSet("PUTY_UPDATE");
+  const record = options.record ?? isEnvFlagSet("PUTY_RECORD");
+  const recorder = record ? createRecorder() : null;
+
+  const testYamlFiles = collectSpecFiles(targets, extensions);
+  if (testYamlFiles.length === 0) {
+    throw new Error(`No spec files found in: ${[].concat(targets).join(", ")}`);
+  }
+
   for (const file of testYamlFiles) {
-    try {
-      const testConfig = parseWithIncludes(file);
-      const filepathRelativeToSpecFile = path.join(
-        path.dirname(file),
-        testConfig.file,
-      );
+    const testConfig = applyNameFilters(
+      parseWithIncludes(file),
+      filters,
+      matched,
+    );
+    if (!testConfig) {
+      continue;
+    }
 
-      // testConfig.file is relative to the spec file
-      const module = await import(filepathRelativeToSpecFile);
-      const testConfigWithInjectedFunctions = injectFunctions(module, testConfig);
-      setupTestSuite(testConfigWithInjectedFunctions);
-    } catch (error) {
-      throw error;
+    const filepathRelativeToSpecFile = path.resolve(
+      path.dirname(file),
+      testConfig.file,
+    );
+
+    // testConfig.file and moduleMocks paths are relative to the spec file
+    const module = await importModuleUnderTest(
+      filepathRelativeToSpecFile,
+      testConfig.moduleMocks,
+      path.dirname(file),
+    );
+    // The hooks module is relative to the spec file as well
+    const hooks = testConfig.hooks
+      ? await import(path.resolve(path.dirname(file), testConfig.hooks))
+      : undefined;
+    const spyModules = await importSpyModules(testConfig, path.dirname(file));
+    const testConfigWithInjectedFunctions = injectFunctions(
+      module,
+      testConfig,
+      { recorder, spyModules },
+    );
+    const snapshots = createSnapshotStore(file, { update });
+    setupTestSuite(testConfigWithInjectedFunctions, {
+      module,
+      hooks,
+      snapshots,
+      recorder,
+    });
+  }
+
+  const labels = { groups: "Group", suites: "Suite", cases: "Case" };
+  for (const [kind, names] of Object.entries(filters)) {
+    const unmatched = (names || []).filter((name) => !matched[kind].has(name));
+    if (unmatched.length > 0) {
+      throw new Error(
+        `${labels[kind]} filter matched no ${kind}: ${unmatched.join(", ")}`,
+      );
     }
   }
 };
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Record mode: writes observed values back into YAML spec files
+ * Cases, executions and mock calls that leave out an expected value are run and the value
+ * they produce is inserted into the file the mapping was written in (an included file for
+ * `!include`d documents). Only text is inserted, so comments and document order are kept.
+ */
+
+import fs from "node:fs";
+import yaml from "js-yaml";
+
+import { getSourceSpan } from "./utils.js";
+import { dumpOptions } from "./snapshots.js";
+
+/**
+ * Content of every file written during this run and the edits applied to it, so edits
+ * computed against the originally loaded source land at the right place in later flushes
+ * @type {Map<string, {content: string, applied: {offset: number, length: number}[]}>}
+ */
+const writtenFiles = new Map();
+
+/**
+ * Finds where a new key goes in a block mapping: after its last line with content, before
+ * trailing blank lines and comments that are not indented deeper than the mapping
+ * @param {Object} span - Source span from getSourceSpan
+ * @returns {number} Offset in the source to insert at
+ */
+const blockInsertOffset = ({ source, start, end, column }) => {
+  const indent = column - 1;
+  let position = start;
+  let offset = end;
+  source
+    .slice(start, end)
+    .split("\n")
+    .forEach((line, index) => {
+      const lineEnd = position + line.length;
+      const trimmed = line.trim();
+      const lineIndent = line.length - line.trimStart().length;
+      const isTrailing =
+        trimmed === "" || (trimmed.startsWith("#") && lineIndent <= indent);
+      if (index === 0 || !isTrailing) {
+        offset = lineEnd < end ? lineEnd + 1 : lineEnd;
+      }
+      position = lineEnd + 1;
+    });
+  return offset;
+};
+
+/**
+ * Builds the text inserting `key: value` into a mapping
+ * @param {Object} span - Source span of the mapping
+ * @param {string} key - Key to add
+ * @param {any} value - Value to write
+ * @returns {{offset: number, text: string}} Insertion offset and text
+ */
+const buildInsertion = (span, key, value) => {
+  const { source, start, end, column } = span;
+
+  if (source[start] === "{") {
+    // Flow mapping: append the entry before the closing brace
+    const closing = source.lastIndexOf("}", end - 1);
+    const offset = source.slice(start, closing).trimEnd().length + start;
+    const flowValue = yaml.dump(value, { ...dumpOptions, flowLevel: 0 }).trim();
+    return { offset, text: `, ${key}: ${flowValue}` };
+  }
+
+  const offset = blockInsertOffset(span);
+  const indent = " ".repeat(column - 1);
+  const lines = yaml
+    .dump({ [key]: value }, dumpOptions)
+    .trimEnd()
+    .split("\n")
+    .map((line) => `${indent}${line}\n`)
+    .join("");
+  // A mapping ending the file without a newline needs one before the new key
+  return source[offset - 1] === "\n"
+    ? { offset, text: lines }
+    : { offset, text: `\n${lines.slice(0, -1)}` };
+};
+
+/**
+ * Creates a recorder collecting values to write into spec files
+ * @returns {Object} Recorder with `record(node, key, value)` and `save()`
+ * @example
+ * const recorder = createRecorder();
+ * recorder.record(testCase, 'out', 42); // testCase was loaded from a spec file
+ * recorder.save(); // inserts "out: 42" after the last line of the case document
+ */
+export const createRecorder = () => {
+  const edits = [];
+  const recorded = new Set();
+
+  return {
+    /**
+     * Queues `key: value` to be added to the mapping a node was loaded from
+     * @param {Object} node - Case, execution or mock call mapping loaded from a spec file
+     * @param {string} key - Key to add (e.g. "out")
+     * @param {any} value - Observed value; undefined values are not recorded
+     * @returns {boolean} True if the value will be written
+     */
+    record(node, key, value) {
+      const span = getSourceSpan(node);
+      if (!span || value === undefined) {
+        return false;
+      }
+      const id = `${span.file}:${span.start}:${key}`;
+      if (recorded.has(id)) {
+        return true;
+      }
+      recorded.add(id);
+      edits.push({
+        file: span.file,
+        source: span.source,
+        column: span.column,
+        ...buildInsertion(span, key, value),
+      });
+      return true;
+    },
+
+    /**
+     * Writes the queued values into their files
+     * @throws {Error} If a file changed on disk since it was loaded
+     */
+    save() {
+      const byFile = new Map();
+      for (const edit of edits.splice(0)) {
+        byFile.set(edit.file, [...(byFile.get(edit.file) || []), edit]);
+      }
+      for (const [file, fileEdits] of byFile) {
+        const state = writtenFiles.get(file) ?? {
+          content: fileEdits[0].source,
+          applied: [],
+        };
+        if (fs.readFileSync(file, "utf8") !== state.content) {
+          throw new Error(
+            `Cannot record into ${file}: the file changed since it was loaded`,
+          );
+        }
+
+        // Apply from the end so earlier offsets stay valid. At the same offset the outer
+        // mapping is applied first, so the nested mapping's key ends up above it.
+        let content = state.content;
+        const ordered = fileEdits.sort(
+          (a, b) => b.offset - a.offset || a.column - b.column,
+        );
+        for (const edit of ordered) {
+          const shift = state.applied
+            .filter((applied) => applied.offset <= edit.offset)
+            .reduce((total, applied) => total + applied.length, 0);
+          const at = edit.offset + shift;
+          content = content.slice(0, at) + edit.text + content.slice(at);
+        }
+        state.applied.push(
+          ...fileEdits.map(({ offset, text }) => ({
+            offset,
+            length: text.length,
+          })),
+        );
+        state.content = content;
+        writtenFiles.set(file, state);
+        fs.writeFileSync(file, content);
+      }
+    },
+  };
+};
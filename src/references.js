@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Runtime reference resolution
+ * This module resolves references whose values only exist while tests run, such as
+ * `$setup:name` for values returned by setup hooks, `$var:name` for values saved by
+ * earlier cases and executions (`save:`) and `$instance:name` for the named instances of a
+ * class case. Static references (`$mock:`) are resolved earlier by the mock resolver.
+ */
+
+import { isPlainObject } from "./utils.js";
+
+/**
+ * Runtime reference prefixes and the context namespace each one reads from
+ * @type {Object<string, string>}
+ */
+const runtimePrefixes = {
+  "$setup:": "setup",
+  "$var:": "var",
+  "$instance:": "instance",
+};
+
+/**
+ * Reads a dotted path ("store.items.0") from a namespace of runtime values
+ * @param {Object} namespace - Values available for the prefix (prototype chain included)
+ * @param {string} reference - The full reference, used in error messages
+ * @param {string} refPath - Path after the prefix
+ * @returns {any} The referenced value
+ * @throws {Error} If the first segment is not defined
+ */
+const lookupReference = (namespace, reference, refPath) => {
+  const [name, ...rest] = refPath.split(".");
+  if (!namespace || !(name in namespace)) {
+    throw new Error(`Reference '${reference}' is not defined`);
+  }
+  return rest.reduce((current, part) => current?.[part], namespace[name]);
+};
+
+/**
+ * Recursively replaces runtime references with their current values
+ * @param {any} value - Value to process (string, array, object or primitive)
+ * @param {Object} context - Runtime namespaces, e.g. `{ setup: scope, var: vars }`
+ * @returns {any} The value with runtime references replaced
+ * @throws {Error} If a reference is not defined in its namespace
+ * @example
+ * resolveRuntimeReferences(['$setup:tmpDir', 'notes.txt'], { setup: { tmpDir: '/tmp/x' } });
+ * // ['/tmp/x', 'notes.txt']
+ */
+export const resolveRuntimeReferences = (value, context) => {
+  if (typeof value === "string") {
+    for (const [prefix, namespace] of Object.entries(runtimePrefixes)) {
+      if (value.startsWith(prefix)) {
+        return lookupReference(
+          context[namespace],
+          value,
+          value.substring(prefix.length),
+        );
+      }
+    }
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveRuntimeReferences(item, context));
+  }
+
+  if (isPlainObject(value)) {
+    const resolved = {};
+    for (const [key, item] of Object.entries(value)) {
+      resolved[key] = resolveRuntimeReferences(item, context);
+    }
+    return resolved;
+  }
+
+  return value;
+};
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Snapshot expectations stored in YAML next to the spec file
+ * Cases marked with `snapshot: true` (or `out: !snapshot`) compare their result with the
+ * entry saved in the sibling `.snap.yaml` file. Missing entries are written on the first
+ * run (except on CI), and update mode rewrites every entry that is checked.
+ */
+
+import fs from "node:fs";
+import yaml from "js-yaml";
+
+import { expect } from "./expect.js";
+
+/**
+ * Marker produced by the `!snapshot` tag
+ */
+class SnapshotMarker {
+  toString() {
+    return "!snapshot";
+  }
+}
+
+/**
+ * YAML tag marking an expected value as a snapshot (`out: !snapshot`)
+ * @type {yaml.Type}
+ */
+export const snapshotType = new yaml.Type("!snapshot", {
+  kind: "scalar",
+  resolve: () => true,
+  construct: () => new SnapshotMarker(),
+});
+
+/**
+ * Checks whether a value is the `!snapshot` marker
+ * @param {any} value - The value to check
+ * @returns {boolean} True if the value was written as `!snapshot`
+ */
+export const isSnapshotMarker = (value) => value instanceof SnapshotMarker;
+
+/**
+ * Options used to write snapshot values, shared by normalization, saving and record mode
+ * @type {Object}
+ */
+export const dumpOptions = { noRefs: true, skipInvalid: true, lineWidth: -1 };
+
+/**
+ * Returns the snapshot file of a spec file (e.g. "math.test.yaml" -> "math.test.snap.yaml")
+ * @param {string} specFile - Path of the YAML spec file
+ * @returns {string} Path of the sibling snapshot file
+ */
+export const snapshotPathFor = (specFile) =>
+  specFile.replace(/\.ya?ml$/, "") + ".snap.yaml";
+
+/**
+ * Converts a value into what reading it back from the snapshot file yields
+ * Values that YAML cannot represent (functions, undefined properties) are dropped and
+ * class instances become plain mappings, so results compare like-for-like with stored entries.
+ * @param {any} value - The actual result
+ * @returns {any} The value after a YAML round trip
+ */
+const normalizeSnapshotValue = (value) =>
+  yaml.load(yaml.dump(value, dumpOptions) ?? "");
+
+/**
+ * Creates the snapshot store of one spec file
+ * @param {string} specFile - Path of the YAML spec file
+ * @param {Object} [options] - Store options
+ * @param {boolean} [options.update=false] - Rewrite checked entries instead of comparing them
+ * @returns {Object} Store with `match(key, actual)` and `save()`
+ * @example
+ * const snapshots = createSnapshotStore('./config.test.yaml');
+ * snapshots.match('config > build > defaults', buildConfig());
+ * snapshots.save(); // writes ./config.test.snap.yaml when entries were added
+ */
+export const createSnapshotStore = (specFile, { update = false } = {}) => {
+  const file = snapshotPathFor(specFile);
+  let entries = null;
+  let dirty = false;
+
+  const load = () => {
+    if (entries === null) {
+      entries = fs.existsSync(file)
+        ? yaml.load(fs.readFileSync(file, "utf8")) || {}
+        : {};
+    }
+    return entries;
+  };
+
+  return {
+    file,
+
+    /**
+     * Compares a result with its stored snapshot, recording it when missing or updating
+     * @param {string} key - Snapshot name ("group > suite > case")
+     * @param {any} actual - The actual result
+     * @throws {Error} If the result differs from the stored snapshot, or the snapshot is
+     *   missing on CI
+     */
+    match(key, actual) {
+      const stored = load();
+      const value = normalizeSnapshotValue(actual);
+      if (!update && key in stored) {
+        expect(
+          value,
+          `Snapshot '${key}' mismatched (run with --update or PUTY_UPDATE=1 to rewrite it)`,
+        ).toEqual(stored[key]);
+        return;
+      }
+      if (!update && process.env.CI) {
+        throw new Error(
+          `Snapshot '${key}' is missing from ${file}. Snapshots are not written on CI; run with --update or PUTY_UPDATE=1 to write it`,
+        );
+      }
+      stored[key] = value;
+      dirty = true;
+    },
+
+    /**
+     * Writes the snapshot file if entries were added or changed
+     * An unchanged file is not rewritten, so watch mode is not re-triggered by update runs.
+     */
+    save() {
+      if (!dirty) {
+        return;
+      }
+      dirty = false;
+      const content = yaml.dump(entries, dumpOptions);
+      if (fs.existsSync(file) && fs.readFileSync(file, "utf8") === content) {
+        return;
+      }
+      fs.writeFileSync(file, content);
+    },
+  };
+};
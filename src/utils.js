@@ -9,6 +9,129 @@ import path, { join } from "node:path";
 
 import yaml from "js-yaml";
 
+import { matcherTypes } from "./matchers.js";
+import { isSnapshotMarker, snapshotType } from "./snapshots.js";
+import { assertValidDocuments } from "./validator.js";
+
+/**
+ * Symbol under which parsed YAML mappings and sequences keep their source location
+ * @type {symbol}
+ */
+const SOURCE_LOCATION = Symbol("puty.sourceLocation");
+
+/**
+ * Attaches a non-enumerable source location to a parsed mapping or sequence
+ * Values that already carry a location (e.g. produced by an included file) keep theirs.
+ * @param {any} node - Parsed YAML value
+ * @param {Object} location - Source location record
+ */
+const attachSourceLocation = (node, location) => {
+  if (!location || !(Array.isArray(node) || isPlainObject(node))) {
+    return;
+  }
+  if (node[SOURCE_LOCATION]) {
+    return;
+  }
+  Object.defineProperty(node, SOURCE_LOCATION, { value: location });
+};
+
+/**
+ * Gives a value rebuilt from a parsed mapping or sequence the source location of the original,
+ * so issues and recorded values still point at the YAML it was written in
+ * @param {any} target - The rebuilt value
+ * @param {any} source - The parsed value it was built from
+ * @returns {any} The target
+ */
+export const copySourceLocation = (target, source) => {
+  attachSourceLocation(target, source?.[SOURCE_LOCATION]);
+  return target;
+};
+
+/**
+ * Creates a js-yaml listener recording where each mapping and sequence of a file starts and ends
+ * @param {string} file - Absolute path of the file being parsed
+ * @param {string} source - File content
+ * @returns {Function} Listener for the js-yaml `listener` option
+ */
+const createLocationListener = (file, source) => {
+  const openNodes = [];
+  let documentIndex = 0;
+
+  return (eventType, state) => {
+    if (eventType === "open") {
+      openNodes.push({
+        start: state.position,
+        line: state.line + 1,
+        column: state.position - state.lineStart + 1,
+      });
+      return;
+    }
+    const node = openNodes.pop();
+    attachSourceLocation(state.result, {
+      ...node,
+      end: state.position,
+      file,
+      source,
+      document: documentIndex + 1,
+    });
+    if (openNodes.length === 0) {
+      documentIndex++;
+    }
+  };
+};
+
+/**
+ * Returns where a parsed YAML value (or one of its keys) was written
+ * @param {any} node - Mapping or sequence returned by loadYamlWithPath
+ * @param {string} [key] - Key of the mapping to locate instead of the mapping itself
+ * @returns {{file: string, document: number, line: number, column: number}|null}
+ *   1-based location, or null when the value was not loaded from a file
+ * @example
+ * const [config] = loadYamlWithPath('./math.test.yaml');
+ * getSourceLocation(config, 'group'); // { file: '/abs/math.test.yaml', document: 1, line: 2, column: 1 }
+ */
+export const getSourceLocation = (node, key) => {
+  const location = node?.[SOURCE_LOCATION];
+  if (!location) {
+    return null;
+  }
+  const { file, document, source, start, end } = location;
+  let { line, column } = location;
+
+  if (key !== undefined) {
+    const escapedKey = String(key).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const keyPattern = new RegExp(
+      `(^|[\\s{,])(["']?)${escapedKey}\\2\\s*:`,
+      "m",
+    );
+    const match = keyPattern.exec(source.slice(start, end));
+    if (match) {
+      const offset = start + match.index + match[1].length;
+      const before = source.slice(0, offset).split("\n");
+      line = before.length;
+      column = before[before.length - 1].length + 1;
+    }
+  }
+
+  return { file, document, line, column };
+};
+
+/**
+ * Returns the raw source span of a parsed YAML mapping or sequence
+ * @param {any} node - Mapping or sequence returned by loadYamlWithPath
+ * @returns {{file: string, source: string, start: number, end: number, column: number}|null}
+ *   Character offsets of the node in the file content it was loaded from (the end includes
+ *   trailing comments and blank lines), or null when the value was not loaded from a file
+ */
+export const getSourceSpan = (node) => {
+  const location = node?.[SOURCE_LOCATION];
+  if (!location) {
+    return null;
+  }
+  const { file, source, start, end, column } = location;
+  return { file, source, start, end, column };
+};
+
 /**
  * Loads a YAML file with support for !include directives and circular dependency detection
  * @param {string} filePath - Absolute or relative path to the YAML file to load
@@ -54,12 +177,19 @@ export const loadYamlWithPath = (filePath, visitedFiles = new Set()) => {
     },
   });
 
-  const schema = yaml.DEFAULT_SCHEMA.extend([includeType]);
+  const schema = yaml.DEFAULT_SCHEMA.extend([
+    includeType,
+    ...matcherTypes,
+    snapshotType,
+  ]);
 
   try {
     const content = fs.readFileSync(absolutePath, "utf8");
     // Always use loadAll - it handles both single and multi-document YAML
-    const docs = yaml.loadAll(content, { schema });
+    const docs = yaml.loadAll(content, {
+      schema,
+      listener: createLocationListener(absolutePath, content),
+    });
     // If only one document, return it directly (not as array)
     return docs.length === 1 ? docs[0] : docs;
   } catch (error) {
@@ -72,6 +202,55 @@ export const loadYamlWithPath = (filePath, visitedFiles = new Set()) => {
   }
 };
 
+/**
+ * Checks whether a value is a thenable (a Promise or Promise-like object)
+ * @param {any} value - The value to check
+ * @returns {boolean} True if the value has a callable `then`
+ */
+export const isThenable = (value) =>
+  value != null && typeof value.then === "function";
+
+/**
+ * Checks whether a value is a plain object (created by an object literal or YAML mapping)
+ * @param {any} value - The value to check
+ * @returns {boolean} True for plain objects, false for arrays, class instances and primitives
+ */
+export const isPlainObject = (value) => {
+  if (value === null || typeof value !== "object") {
+    return false;
+  }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Deep clones arrays and plain objects, keeping other values (matchers, dates, functions) by reference
+ * @param {any} value - The value to clone
+ * @returns {any} The cloned value
+ * @example
+ * const copy = deepClone({ in: [1, 2], out: expect.any(Number) });
+ * // copy.in is a new array, copy.out is the same matcher instance
+ */
+export const deepClone = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(deepClone);
+  }
+  if (isPlainObject(value)) {
+    const cloned = {};
+    for (const [key, item] of Object.entries(value)) {
+      cloned[key] = deepClone(item);
+    }
+    return copySourceLocation(cloned, value);
+  }
+  return value;
+};
+
+/**
+ * Directories never searched for spec files
+ * @type {string[]}
+ */
+const IGNORED_DIRECTORIES = ["node_modules", ".git"];
+
 /**
  * Recursively traverses a directory and returns all files matching the specified extensions
  * @param {string} startPath - The directory path to start traversing from
@@ -91,6 +270,9 @@ export const traverseAllFiles = (startPath, extensions) => {
     const filePath = path.join(startPath, file);
     const stats = fs.statSync(filePath);
     if (stats.isDirectory()) {
+      if (IGNORED_DIRECTORIES.includes(file)) {
+        continue;
+      }
       results.push(...traverseAllFiles(filePath, extensions));
     } else if (extensions.some((ext) => file.endsWith(ext))) {
       results.push(filePath);
@@ -99,6 +281,94 @@ export const traverseAllFiles = (startPath, extensions) => {
   return results;
 };
 
+/**
+ * Characters that make a path argument a glob pattern
+ * @type {RegExp}
+ */
+const GLOB_CHARACTERS = /[*?{}[\]]/;
+
+/**
+ * Converts a glob pattern into a regular expression matching whole paths
+ * Supports `**` (any number of directories), `*` and `?` (within one path segment),
+ * `{a,b}` alternatives and `[abc]` character classes.
+ * @param {string} pattern - Glob pattern using forward slashes
+ * @returns {RegExp} Regular expression matching the paths the glob describes
+ * @example
+ * globToRegExp('specs/**\/*.test.yaml').test('specs/math/add.test.yaml'); // true
+ */
+export const globToRegExp = (pattern) => {
+  let source = "";
+  let braceDepth = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      // "**/" also matches zero directories
+      const slash = pattern[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      braceDepth++;
+      source += "(?:";
+    } else if (char === "}" && braceDepth > 0) {
+      braceDepth--;
+      source += ")";
+    } else if (char === "," && braceDepth > 0) {
+      source += "|";
+    } else if (char === "[" || char === "]") {
+      source += char;
+    } else {
+      source += char.replace(/[.+^$(){}|\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Collects spec files from directories, file paths and glob patterns
+ * Directories are searched recursively for files with the given extensions, files are
+ * used as given and globs are matched against every spec file below their static prefix.
+ * @param {string|string[]} targets - Directories, files or glob patterns
+ * @param {string[]} extensions - Spec file extensions (e.g., ['.test.yaml'])
+ * @returns {string[]} Spec file paths, without duplicates
+ * @throws {Error} If a target is neither a glob nor an existing file or directory
+ * @example
+ * collectSpecFiles(['./specs', 'lib/**\/*.test.yaml'], ['.test.yaml']);
+ */
+export const collectSpecFiles = (targets, extensions) => {
+  const files = [];
+  for (const target of [].concat(targets)) {
+    if (GLOB_CHARACTERS.test(target)) {
+      const pattern = path.resolve(target).split(path.sep).join("/");
+      const segments = pattern.split("/");
+      const staticSegments = segments.slice(
+        0,
+        segments.findIndex((segment) => GLOB_CHARACTERS.test(segment)),
+      );
+      const baseDir = staticSegments.join("/") || "/";
+      if (!fs.existsSync(baseDir)) {
+        continue;
+      }
+      const matcher = globToRegExp(pattern);
+      files.push(
+        ...traverseAllFiles(baseDir, extensions).filter((file) =>
+          matcher.test(path.resolve(file).split(path.sep).join("/")),
+        ),
+      );
+    } else if (!fs.existsSync(target)) {
+      throw new Error(`Spec path not found: ${target}`);
+    } else if (fs.statSync(target).isDirectory()) {
+      files.push(...traverseAllFiles(target, extensions));
+    } else {
+      files.push(target);
+    }
+  }
+  return [...new Set(files)];
+};
+
 /**
  * Recursively flattens nested arrays of YAML documents that result from multi-document includes
  * @param {any|any[]} data - The data to flatten, can be a single document or nested arrays
@@ -124,19 +394,182 @@ const flattenDocuments = (data) => {
   return result;
 };
 
+/**
+ * Run flags accepted on config, suite and case documents
+ * @type {string[]}
+ */
+const RUN_FLAGS = ["skip", "only", "todo"];
+
+/**
+ * Copies the `skip`, `only` and `todo` flags of a document onto a config, suite or case object
+ * @param {Object} target - Object receiving the flags
+ * @param {Object} doc - YAML document the flags are read from
+ */
+const copyRunFlags = (target, doc) => {
+  for (const flag of RUN_FLAGS) {
+    if (doc[flag] !== undefined && doc[flag] !== false) {
+      target[flag] = doc[flag];
+    }
+  }
+};
+
+/**
+ * Matches `{key}` placeholders in `each:` templates
+ * @type {RegExp}
+ */
+const PLACEHOLDER_PATTERN = /\{([^{}\s]+)\}/g;
+
+/**
+ * Checks whether a value is exactly one `{key}` placeholder, which takes the row value as-is
+ * @param {any} value - The value to check
+ * @returns {boolean} True for strings such as "{0}" or "{user.name}"
+ */
+export const isWholePlaceholder = (value) =>
+  typeof value === "string" && /^\{([^{}\s]+)\}$/.test(value);
+
+/**
+ * Looks up the value of a placeholder in an `each:` row
+ * @param {any[]|Object} row - Table row (positional list or mapping)
+ * @param {string} key - Placeholder key: an index such as "0", a property name or a dotted path ("user.name")
+ * @param {number} rowNumber - 1-based row number for error reporting
+ * @returns {any} The row value
+ * @throws {Error} When the row has no value for the placeholder
+ */
+const lookupRowValue = (row, key, rowNumber) => {
+  let current = row;
+  for (const part of key.split(".")) {
+    if (current === null || typeof current !== "object" || !(part in current)) {
+      throw new Error(
+        `Placeholder '{${key}}' has no value in row ${rowNumber} of 'each'`,
+      );
+    }
+    current = current[part];
+  }
+  return current;
+};
+
+/**
+ * Replaces `{key}` placeholders with the values of an `each:` row
+ * A string that is a single placeholder takes the row value as-is (keeping its type);
+ * placeholders inside longer strings are replaced by their text form.
+ * @param {any} value - Template value (string, array, object or primitive)
+ * @param {any[]|Object} row - Table row
+ * @param {number} rowNumber - 1-based row number for error reporting
+ * @returns {any} The interpolated value
+ * @example
+ * interpolateRow({ in: ['{0}', '{1}'], case: 'add {0} and {1}' }, [1, 2], 1);
+ * // { in: [1, 2], case: 'add 1 and 2' }
+ */
+const interpolateRow = (value, row, rowNumber) => {
+  if (typeof value === "string") {
+    if (isWholePlaceholder(value)) {
+      return lookupRowValue(row, value.slice(1, -1), rowNumber);
+    }
+    return value.replace(PLACEHOLDER_PATTERN, (placeholder, key) => {
+      const rowValue = lookupRowValue(row, key, rowNumber);
+      return typeof rowValue === "object" && rowValue !== null
+        ? JSON.stringify(rowValue)
+        : String(rowValue);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => interpolateRow(item, row, rowNumber));
+  }
+  if (isPlainObject(value)) {
+    const interpolated = {};
+    for (const [key, item] of Object.entries(value)) {
+      interpolated[key] = interpolateRow(item, row, rowNumber);
+    }
+    return interpolated;
+  }
+  return value;
+};
+
+/**
+ * Expands a case document with an `each:` table into one case document per row
+ * @param {Object} doc - Case document
+ * @returns {Object[]} The interpolated case documents, or the document itself when it has no table
+ * @throws {Error} When a placeholder has no value in a row
+ */
+const expandEachRows = (doc) => {
+  if (!doc.each) {
+    return [doc];
+  }
+  const { each, ...template } = doc;
+  return each.map((row, index) => interpolateRow(template, row, index + 1));
+};
+
+/**
+ * Copies the hook lists (`setup`, `teardown`, ...) of a document onto a config, suite or case object
+ * @param {Object} target - Object receiving the hook lists
+ * @param {Object} doc - YAML document the hook lists are read from
+ * @param {string[]} keys - Hook keys allowed at this level
+ */
+const copyHooks = (target, doc, keys) => {
+  for (const key of keys) {
+    if (doc[key]) {
+      target[key] = doc[key];
+    }
+  }
+};
+
+/**
+ * Hook keys of config and suite documents; cases only accept `setup` and `teardown`
+ * @type {string[]}
+ */
+const LEVEL_HOOKS = ["setup", "teardown", "setupEach", "teardownEach"];
+
+/**
+ * Orders suites by the `suites:` list of the config document and checks both sides match
+ * @param {Object[]} suites - Suites in document order
+ * @param {string[]} suiteNames - Suite names listed in the config document
+ * @returns {Object[]} Suites in the listed order
+ * @throws {Error} When a listed suite has no `suite:` document or a defined suite is not listed
+ */
+const orderSuitesByNames = (suites, suiteNames) => {
+  const definedNames = suites.map((suite) => suite.name);
+
+  const missing = suiteNames.filter((name) => !definedNames.includes(name));
+  if (missing.length > 0) {
+    throw new Error(
+      `Suites listed in 'suites' have no suite document: ${missing.join(", ")}`,
+    );
+  }
+
+  const unlisted = definedNames.filter((name) => !suiteNames.includes(name));
+  if (unlisted.length > 0) {
+    throw new Error(
+      `Suites are defined but not listed in 'suites': ${unlisted.join(", ")}`,
+    );
+  }
+
+  return suiteNames.map((name) => suites.find((suite) => suite.name === name));
+};
+
 /**
  * Processes an array of YAML documents and converts them into a structured test configuration
  * @param {any[]} docs - Array of YAML document objects to process
  * @returns {Object} Structured test configuration object
+ * @throws {Error} When the documents fail schema validation (see validateDocuments)
  * @returns {string|null} returns.file - Path to the JavaScript file being tested
  * @returns {string|null} returns.group - Test group name
- * @returns {string[]} [returns.suiteNames] - Array of suite names defined in config
+ * @returns {string[]} [returns.suiteNames] - Array of suite names defined in config; when present,
+ *   suites are returned in this order and every suite must be listed
+ * @returns {boolean|string} [returns.skip] - Skip the whole group (a string gives the reason);
+ *   `only` and `todo` work the same way, and all three are also copied onto suites and cases
+ * @returns {string} [returns.hooks] - Path of the module providing hook functions, relative to the spec file
+ * @returns {Array<string|Object>} [returns.setup] - Hooks run before the group; `teardown`, `setupEach` and
+ *   `teardownEach` work the same way and are also copied onto suites (cases only take `setup`/`teardown`)
+ * @returns {Object} [returns.moduleMocks] - Map of module path to export mocks, applied before importing `file`
  * @returns {Object[]} returns.suites - Array of test suite objects
  * @returns {string} returns.suites[].name - Suite name
  * @returns {string} returns.suites[].exportName - Function/class export name to test
- * @returns {Object[]} returns.suites[].cases - Array of test cases
- * @returns {string} [returns.suites[].mode] - Test mode ('class' for class testing)
+ * @returns {Object[]} returns.suites[].cases - Array of test cases (a case with an `each:` table
+ *   contributes one case per row)
+ * @returns {string} [returns.suites[].mode] - Test mode ('class' for class testing, 'factory' for
+ *   testing the object a factory returns, 'module' for testing the module namespace itself)
  * @returns {any[]} [returns.suites[].constructorArgs] - Constructor arguments for class mode
+ * @returns {any[]} [returns.suites[].factoryArgs] - Factory arguments for factory mode
  * @example
  * const docs = [
  *   { file: './math.js', group: 'math', suites: ['add'] },
@@ -145,7 +578,10 @@ const flattenDocuments = (data) => {
  * ];
  * const config = processDocuments(docs);
  */
-const processDocuments = (docs) => {
+export const processDocuments = (docs) => {
+  // Report typos, wrong types and orphaned cases before anything is registered
+  assertValidDocuments(docs);
+
   const config = {
     file: null,
     group: null,
@@ -156,13 +592,30 @@ const processDocuments = (docs) => {
   let currentSuite = null;
 
   for (const doc of docs) {
+    if (!doc) {
+      continue;
+    }
     if (doc.file) {
       config.file = doc.file;
       config.group = doc.group || doc.name;
       config.mocks = doc.mocks || {};
+      if (doc.moduleMocks) {
+        config.moduleMocks = doc.moduleMocks;
+      }
       if (doc.suites) {
         config.suiteNames = doc.suites;
       }
+      copyRunFlags(config, doc);
+      if (doc.hooks) {
+        config.hooks = doc.hooks;
+      }
+      if (doc.clock) {
+        config.clock = doc.clock;
+      }
+      if (doc.fixtures) {
+        config.fixtures = doc.fixtures;
+      }
+      copyHooks(config, doc, LEVEL_HOOKS);
     } else if (doc.suite) {
       if (currentSuite) {
         config.suites.push(currentSuite);
@@ -173,29 +626,87 @@ const processDocuments = (docs) => {
         mocks: doc.mocks || {},
         cases: [],
       };
-      // Only add mode and constructorArgs if mode is explicitly 'class'
+      copyRunFlags(currentSuite, doc);
+      copyHooks(currentSuite, doc, LEVEL_HOOKS);
+      if (doc.clock) {
+        currentSuite.clock = doc.clock;
+      }
+      if (doc.fixtures) {
+        currentSuite.fixtures = doc.fixtures;
+      }
+      // Only add mode and constructorArgs (factoryArgs) if mode is explicitly 'class' ('factory')
       if (doc.mode === "class") {
         currentSuite.mode = "class";
         currentSuite.constructorArgs = doc.constructorArgs || [];
+      } else if (doc.mode === "factory") {
+        currentSuite.mode = "factory";
+        currentSuite.factoryArgs = doc.factoryArgs || [];
+      } else if (doc.mode === "module") {
+        currentSuite.mode = "module";
       }
     } else if (doc.case && currentSuite) {
-      const testCase = {
-        name: doc.case,
-        mocks: doc.mocks || {},
-        resolvedMocks: null,
-      };
+      // A case with an `each:` table expands into one case per row
+      for (const caseDoc of expandEachRows(doc)) {
+        const testCase = {
+          name: caseDoc.case,
+          mocks: caseDoc.mocks || {},
+          resolvedMocks: null,
+        };
+        // Keeps where the case was written, so record mode can write its results back
+        attachSourceLocation(testCase, caseDoc[SOURCE_LOCATION]);
+        copyRunFlags(testCase, caseDoc);
+        copyHooks(testCase, caseDoc, ["setup", "teardown"]);
+        if (caseDoc.callOrder) {
+          testCase.callOrder = caseDoc.callOrder;
+        }
+        if (caseDoc.clock) {
+          testCase.clock = caseDoc.clock;
+        }
+        if (caseDoc.fixtures) {
+          testCase.fixtures = caseDoc.fixtures;
+        }
+        if (caseDoc.save) {
+          testCase.save = caseDoc.save;
+        }
 
-      if (currentSuite.mode === "class") {
-        testCase.executions = doc.executions || [];
-      } else {
-        testCase.in = doc.in || [];
-        testCase.out = doc.out;
-        if (doc.throws) {
-          testCase.throws = doc.throws;
+        // Class, factory and module cases run executions against an object instead of comparing one result
+        if (["class", "factory", "module"].includes(currentSuite.mode)) {
+          testCase.executions = caseDoc.executions || [];
+          for (const key of [
+            "constructorArgs",
+            "factoryArgs",
+            "constructorThrows",
+            "instances",
+          ]) {
+            if (caseDoc[key]) {
+              testCase[key] = caseDoc[key];
+            }
+          }
+        } else {
+          testCase.in = caseDoc.in || [];
+          // `snapshot: true` and `out: !snapshot` compare with the stored snapshot instead of `out`
+          if (caseDoc.snapshot === true || isSnapshotMarker(caseDoc.out)) {
+            testCase.snapshot = true;
+          } else {
+            testCase.out = caseDoc.out;
+          }
+          if (caseDoc.throws) {
+            testCase.throws = caseDoc.throws;
+          }
+          if (caseDoc.rejects) {
+            testCase.rejects = caseDoc.rejects;
+          }
+          // Generators are drained into the list of yielded values
+          if (caseDoc.iterate) {
+            testCase.iterate = true;
+          }
+          if (caseDoc.take !== undefined) {
+            testCase.take = caseDoc.take;
+          }
         }
-      }
 
-      currentSuite.cases.push(testCase);
+        currentSuite.cases.push(testCase);
+      }
     }
   }
 
@@ -203,6 +714,11 @@ const processDocuments = (docs) => {
     config.suites.push(currentSuite);
   }
 
+  // The `suites:` list decides which suites run and in which order
+  if (config.suiteNames) {
+    config.suites = orderSuitesByNames(config.suites, config.suiteNames);
+  }
+
   return config;
 };
 
@@ -210,7 +726,8 @@ const processDocuments = (docs) => {
  * Parses a YAML file with !include directive support and converts it into a structured test configuration
  * @param {string} filePath - Path to the YAML file to parse
  * @returns {Object} Structured test configuration object ready for test execution
- * @throws {Error} When file cannot be found, YAML is invalid, or circular dependencies are detected
+ * @throws {Error} When file cannot be found, YAML is invalid, circular dependencies are detected,
+ *   or the `suites:` list does not match the suite documents
  * @example
  * // Parse a test configuration file with includes
  * const config = parseWithIncludes('./tests/math.spec.yaml');
@@ -0,0 +1,888 @@
+/**
+ * @fileoverview Schema validation for YAML spec documents
+ * This module checks the loaded config, suite and case documents for unknown keys,
+ * wrong value types, orphaned cases and malformed mocks before any test is registered,
+ * reporting each problem with the file, document and line/column it comes from.
+ */
+
+import { validateAssertion } from "./assertions.js";
+import { isFixtureExpression } from "./fixtures.js";
+import {
+  getSourceLocation,
+  isPlainObject,
+  isWholePlaceholder,
+} from "./utils.js";
+
+/**
+ * Type checks used by the document schemas
+ * @type {Object<string, {test: Function, label: string}>}
+ */
+const types = {
+  any: { test: () => true, label: "any value" },
+  string: { test: (value) => typeof value === "string", label: "a string" },
+  name: {
+    test: (value) => typeof value === "string" || typeof value === "number",
+    label: "a string",
+  },
+  array: { test: (value) => Array.isArray(value), label: "a list" },
+  object: { test: (value) => isPlainObject(value), label: "a mapping" },
+  boolean: { test: (value) => typeof value === "boolean", label: "a boolean" },
+  count: {
+    test: (value) => Number.isInteger(value) && value >= 0,
+    label: "a non-negative integer",
+  },
+  flag: {
+    test: (value) => typeof value === "boolean" || typeof value === "string",
+    label: "a boolean or a reason string",
+  },
+  hookList: {
+    test: (value) =>
+      Array.isArray(value) &&
+      value.every(
+        (entry) =>
+          typeof entry === "string" ||
+          (isPlainObject(entry) && typeof entry.call === "string"),
+      ),
+    label: "a list of export names or { call, in, as } entries",
+  },
+  time: {
+    test: (value) =>
+      value instanceof Date ||
+      typeof value === "number" ||
+      (typeof value === "string" && !Number.isNaN(Date.parse(value))),
+    label: "a date, a date string or a timestamp in milliseconds",
+  },
+  callback: {
+    test: (value) => isPlainObject(value) && Number.isInteger(value.index),
+    label: "a { index, args } mapping with an integer index",
+  },
+  save: {
+    test: (value) =>
+      typeof value === "string" ||
+      (isPlainObject(value) &&
+        Object.values(value).every((path) => typeof path === "string")),
+    label: "a variable name or a mapping of variable names to paths",
+  },
+  error: {
+    test: (value) =>
+      typeof value === "string" ||
+      value instanceof RegExp ||
+      isPlainObject(value),
+    label:
+      "an error message or a { type, message, code, props, cause } mapping",
+  },
+};
+
+/**
+ * Keys shared by every document that can be skipped or focused
+ * @type {Object<string, string>}
+ */
+const runFlagKeys = { skip: "flag", only: "boolean", todo: "flag" };
+
+/**
+ * Hook keys of config and suite documents
+ * @type {Object<string, string>}
+ */
+const levelHookKeys = {
+  setup: "hookList",
+  teardown: "hookList",
+  setupEach: "hookList",
+  teardownEach: "hookList",
+};
+
+/**
+ * Hook keys of case documents
+ * @type {Object<string, string>}
+ */
+const caseHookKeys = { setup: "hookList", teardown: "hookList" };
+
+/**
+ * Allowed keys and their types for each kind of document or nested entry
+ * @type {Object<string, Object<string, string>>}
+ */
+const schemas = {
+  config: {
+    file: "string",
+    group: "name",
+    name: "name",
+    suites: "array",
+    mocks: "object",
+    moduleMocks: "object",
+    hooks: "string",
+    clock: "object",
+    fixtures: "object",
+    ...levelHookKeys,
+    ...runFlagKeys,
+  },
+  suite: {
+    suite: "name",
+    exportName: "string",
+    mode: "string",
+    constructorArgs: "array",
+    factoryArgs: "array",
+    mocks: "object",
+    clock: "object",
+    fixtures: "object",
+    ...levelHookKeys,
+    ...runFlagKeys,
+  },
+  functionCase: {
+    case: "name",
+    each: "array",
+    in: "array",
+    out: "any",
+    throws: "error",
+    rejects: "error",
+    snapshot: "boolean",
+    save: "save",
+    iterate: "boolean",
+    take: "count",
+    mocks: "object",
+    callOrder: "array",
+    clock: "object",
+    fixtures: "object",
+    ...caseHookKeys,
+    ...runFlagKeys,
+  },
+  classCase: {
+    case: "name",
+    each: "array",
+    executions: "array",
+    constructorArgs: "array",
+    factoryArgs: "array",
+    constructorThrows: "error",
+    instances: "object",
+    mocks: "object",
+    callOrder: "array",
+    clock: "object",
+    fixtures: "object",
+    ...caseHookKeys,
+    ...runFlagKeys,
+  },
+  execution: {
+    method: "string",
+    in: "array",
+    out: "any",
+    throws: "error",
+    rejects: "error",
+    snapshot: "boolean",
+    save: "save",
+    iterate: "boolean",
+    take: "count",
+    next: "array",
+    asserts: "array",
+    static: "boolean",
+    advanceTime: "count",
+    runAllTimers: "boolean",
+  },
+  assertion: {
+    property: "string",
+    method: "string",
+    op: "string",
+    value: "any",
+    in: "array",
+    out: "any",
+    throws: "error",
+    static: "boolean",
+  },
+  mock: {
+    type: "string",
+    calls: "array",
+    returns: "any",
+    times: "count",
+    minTimes: "count",
+    maxTimes: "count",
+    ordered: "boolean",
+    ignoreArgs: "boolean",
+    methods: "object",
+    properties: "object",
+    construct: "object",
+    spy: "string",
+    file: "string",
+  },
+  mockCall: {
+    in: "array",
+    out: "any",
+    throws: "error",
+    resolves: "any",
+    rejects: "error",
+    repeat: "count",
+    ignoreArgs: "boolean",
+    callArg: "callback",
+    callArgAsync: "callback",
+  },
+  callback: {
+    index: "any",
+    args: "array",
+  },
+  clock: {
+    now: "time",
+    fakeTimers: "boolean",
+  },
+  errorExpectation: {
+    type: "string",
+    message: "any",
+    code: "name",
+    props: "object",
+    cause: "error",
+  },
+};
+
+/**
+ * Suite modes understood by the test runner
+ * @type {string[]}
+ */
+const suiteModes = ["class", "factory", "module"];
+
+/**
+ * Case keys that set up the object of class and factory cases
+ * @type {string[]}
+ */
+const subjectKeys = [
+  "constructorArgs",
+  "factoryArgs",
+  "constructorThrows",
+  "instances",
+];
+
+/**
+ * Execution keys that only apply to method calls, not to clock steps
+ * @type {string[]}
+ */
+const methodOnlyKeys = ["static", "iterate", "take", "next"];
+
+/**
+ * Mock types understood by the mock resolver
+ * @type {string[]}
+ */
+const mockTypes = ["function", "object", "class"];
+
+/**
+ * Keys that only apply to mocks of some types
+ * @type {Object<string, string[]>}
+ */
+const mockTypeKeys = {
+  methods: ["object", "class"],
+  properties: ["object", "class"],
+  construct: ["class"],
+  spy: ["function"],
+};
+
+/**
+ * Upper-cases the first letter of a description starting a message
+ * @param {string} text - Description such as "mock 'fetch'"
+ * @returns {string} The description with a capital first letter
+ */
+const capitalize = (text) => `${text[0].toUpperCase()}${text.slice(1)}`;
+
+/**
+ * Formats an issue location as "file:line:column (document n)"
+ * @param {Object|null} location - Location from getSourceLocation
+ * @param {number} documentNumber - 1-based position of the document in the flattened list
+ * @returns {string} Human readable location prefix
+ */
+const formatLocation = (location, documentNumber) => {
+  if (!location) {
+    return `document ${documentNumber}`;
+  }
+  return `${location.file}:${location.line}:${location.column} (document ${location.document})`;
+};
+
+/**
+ * Validates the documents of one spec file
+ * @param {any[]} docs - Flattened YAML documents (config, suite and case documents)
+ * @returns {string[]} List of issues, each prefixed with its location; empty when the documents are valid
+ * @example
+ * const issues = validateDocuments([
+ *   { file: './math.js', group: 'math' },
+ *   { suite: 'add', exportname: 'add' },
+ * ]);
+ * // ["/abs/math.test.yaml:5:1 (document 2): Unknown key 'exportname' in suite document"]
+ */
+export const validateDocuments = (docs) => {
+  const issues = [];
+  let documentNumber = 0;
+  let currentSuite = null;
+  let currentDocument = null;
+  let hasConfigDocument = false;
+  // Inside cases with an `each:` table, values that are one placeholder only get their type from the rows
+  let inEachCase = false;
+
+  /**
+   * Checks whether a value is filled in from the rows of the current case's `each:` table
+   * @param {any} value - The value to check
+   * @returns {boolean} True for whole-value placeholders inside an `each` case
+   */
+  const isRowPlaceholder = (value) => inEachCase && isWholePlaceholder(value);
+
+  /**
+   * Checks whether a value is filled in later and so only gets its type then
+   * `$ref:` references and `$merge` directives are resolved from the fixtures when tests run.
+   * @param {any} value - The value to check
+   * @returns {boolean} True for fixture expressions and whole-value row placeholders
+   */
+  const isFilledInLater = (value) =>
+    isFixtureExpression(value) || isRowPlaceholder(value);
+
+  /**
+   * Records an issue located at a node, or at one of its keys
+   * Nodes without a location of their own (strings, numbers) are located at the mapping or list
+   * holding them, or else at the document.
+   * @param {string} message - Issue description
+   * @param {Object} node - Node the issue belongs to
+   * @param {string} [key] - Key of the node the issue points at
+   * @param {Array} [container] - Mapping or list holding the node, and the node's key in it
+   */
+  const report = (message, node, key, container = []) => {
+    const location =
+      getSourceLocation(node, key) ??
+      getSourceLocation(node) ??
+      getSourceLocation(...container) ??
+      getSourceLocation(container[0]) ??
+      getSourceLocation(currentDocument);
+    issues.push(`${formatLocation(location, documentNumber)}: ${message}`);
+  };
+
+  /**
+   * Checks a mapping against a schema: unknown keys and value types
+   * @param {Object} node - Mapping to check
+   * @param {Object<string, string>} schema - Allowed keys and their types
+   * @param {string} description - What the mapping is, used in messages
+   * @param {Array} [container] - Mapping or list holding the node, and the node's key in it
+   * @returns {boolean} True if the node is a mapping (even with issues)
+   */
+  const checkKeys = (node, schema, description, container) => {
+    if (isFilledInLater(node)) {
+      return false;
+    }
+    if (!isPlainObject(node)) {
+      report(
+        `Expected ${description} to be a mapping`,
+        node,
+        undefined,
+        container,
+      );
+      return false;
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (!(key in schema)) {
+        report(`Unknown key '${key}' in ${description}`, node, key);
+        continue;
+      }
+      const type = types[schema[key]];
+      if (
+        value !== null &&
+        value !== undefined &&
+        !type.test(value) &&
+        !isFilledInLater(value)
+      ) {
+        report(
+          `Expected '${key}' in ${description} to be ${type.label}`,
+          node,
+          key,
+        );
+      }
+    }
+    return true;
+  };
+
+  /**
+   * Checks the structured `throws`/`rejects` mappings of a case, execution, assertion or mock call
+   * @param {Object} node - Mapping that may carry `throws` or `rejects`
+   * @param {string} description - What the mapping is, used in messages
+   */
+  const checkErrorExpectations = (node, description) => {
+    for (const key of ["throws", "rejects", "constructorThrows", "cause"]) {
+      const value = node?.[key];
+      if (isPlainObject(value)) {
+        const errorDescription = `'${key}' of ${description}`;
+        checkKeys(value, schemas.errorExpectation, errorDescription);
+        checkErrorExpectations(value, errorDescription);
+      }
+    }
+  };
+
+  /**
+   * Checks one mock definition. Function mocks need a `calls` list of call entries, unless
+   * they accept unscripted calls (`returns`, `times`, `minTimes` or `maxTimes`); object and
+   * class mocks script their `methods` (and `construct`) instead.
+   * @param {Object} mockDef - Mock definition
+   * @param {string} description - What the mock is, used in messages
+   * @param {Object} parent - Mapping holding the definition, used to locate issues
+   * @param {string} key - Key of the definition in its parent
+   */
+  const checkMock = (mockDef, description, parent, key) => {
+    if (!checkKeys(mockDef, schemas.mock, description, [parent, key])) {
+      return;
+    }
+    const type = mockDef.type ?? "function";
+    if (!mockTypes.includes(type)) {
+      report(
+        `Unknown type '${type}' for ${description}. Supported types: ${mockTypes.join(", ")}`,
+        mockDef,
+        "type",
+      );
+      return;
+    }
+    for (const [typedKey, allowedTypes] of Object.entries(mockTypeKeys)) {
+      if (typedKey in mockDef && !allowedTypes.includes(type)) {
+        report(
+          `'${typedKey}' of ${description} requires type ${allowedTypes.join(" or ")}`,
+          mockDef,
+          typedKey,
+        );
+      }
+    }
+
+    if ("file" in mockDef && !("spy" in mockDef)) {
+      report(
+        `'file' of ${description} names the module of a spy and requires 'spy'`,
+        mockDef,
+        "file",
+      );
+    }
+
+    if (type !== "function") {
+      if ("calls" in mockDef) {
+        report(
+          `${capitalize(description)} has type ${type}: script its calls under 'methods'`,
+          mockDef,
+          "calls",
+        );
+      }
+      if (isPlainObject(mockDef.construct)) {
+        checkMock(
+          mockDef.construct,
+          `constructor of ${description}`,
+          mockDef,
+          "construct",
+        );
+      }
+      for (const [methodName, methodDef] of Object.entries(
+        isPlainObject(mockDef.methods) ? mockDef.methods : {},
+      )) {
+        checkMock(
+          methodDef,
+          `method '${methodName}' of ${description}`,
+          mockDef.methods,
+          methodName,
+        );
+      }
+      return;
+    }
+
+    const acceptsUnscripted = ["returns", "times", "minTimes", "maxTimes"].some(
+      (unscriptedKey) => unscriptedKey in mockDef,
+    );
+    if (!Array.isArray(mockDef.calls)) {
+      if (!acceptsUnscripted && !isFixtureExpression(mockDef.calls)) {
+        report(`${capitalize(description)} has no 'calls' list`, parent, key);
+      }
+      return;
+    }
+    mockDef.calls.forEach((call, index) => {
+      const callDescription = `call ${index + 1} of ${description}`;
+      if (
+        checkKeys(call, schemas.mockCall, callDescription, [mockDef, "calls"])
+      ) {
+        checkErrorExpectations(call, callDescription);
+        for (const key of ["callArg", "callArgAsync"]) {
+          if (isPlainObject(call[key])) {
+            checkKeys(
+              call[key],
+              schemas.callback,
+              `'${key}' of ${callDescription}`,
+            );
+          }
+        }
+      }
+    });
+  };
+
+  /**
+   * Checks a `mocks` mapping
+   * @param {Object} mocks - Map of mock name to definition
+   */
+  const checkMocks = (mocks) => {
+    if (!isPlainObject(mocks) || isFixtureExpression(mocks)) {
+      return;
+    }
+    for (const [mockName, mockDef] of Object.entries(mocks)) {
+      checkMock(mockDef, `mock '${mockName}'`, mocks, mockName);
+    }
+  };
+
+  /**
+   * Checks how a case or execution consumes a returned iterator: `take` limits `iterate`, and
+   * stepping with `next` replaces draining
+   * @param {Object} node - Case or execution
+   * @param {string} description - What the node is, used in messages
+   */
+  const checkIteration = (node, description) => {
+    if ("take" in node && node.iterate !== true) {
+      report(`'take' in ${description} requires 'iterate: true'`, node, "take");
+    }
+    if ("next" in node && "iterate" in node) {
+      report(
+        `${capitalize(description)} combines 'iterate' with 'next'; use 'iterate' to drain the iterator or 'next' to step it`,
+        node,
+        "next",
+      );
+    }
+  };
+
+  /**
+   * Checks that the paths of a `save` mapping start at a value the step provides
+   * @param {Object} node - Case or execution that may carry `save`
+   * @param {string} description - What the node is, used in messages
+   * @param {string[]} roots - Allowed first path segments
+   */
+  const checkSavePaths = (node, description, roots) => {
+    if (!isPlainObject(node.save)) {
+      return;
+    }
+    for (const [name, valuePath] of Object.entries(node.save)) {
+      if (
+        typeof valuePath === "string" &&
+        !roots.includes(valuePath.split(".")[0])
+      ) {
+        report(
+          `Path '${valuePath}' of variable '${name}' in ${description} must start with ${roots.map((root) => `'${root}'`).join(" or ")}`,
+          node,
+          "save",
+        );
+      }
+    }
+  };
+
+  /**
+   * Checks the `clock` settings of a config, suite or case document
+   * @param {Object} doc - Document that may carry `clock`
+   */
+  const checkClock = (doc) => {
+    if (isPlainObject(doc.clock)) {
+      checkKeys(doc.clock, schemas.clock, "'clock'");
+    }
+  };
+
+  /**
+   * Checks how a method or property path addresses its target: static members need a class
+   * suite, and paths must start with an instance name when the case declares named `instances`
+   * A path starting with the export name of a class suite ("User.fromJSON") addresses a static.
+   * @param {string} memberPath - Method or property path
+   * @param {Object} target - What the case runs against
+   * @param {string} target.mode - Mode of the case's suite
+   * @param {string} [target.className] - Export name of the class under test (the suite name
+   *   when `exportName` is not set)
+   * @param {string[]|null} target.instanceNames - Names of the case's instances, or null
+   * @param {Object} node - Execution or assertion holding the path
+   * @param {string} key - Key of the path ("method" or "property")
+   * @param {string} description - What the node is, used in messages
+   */
+  const checkMemberPath = (
+    memberPath,
+    { mode, className, instanceNames },
+    node,
+    key,
+    description,
+  ) => {
+    if (node.static === true) {
+      if (mode !== "class") {
+        report(
+          `'static' in ${description} only applies to class suites`,
+          node,
+          "static",
+        );
+      }
+      return;
+    }
+    const [first, ...rest] = String(memberPath).split(".");
+    const isStaticPath = first === className && rest.length > 0;
+    if (
+      instanceNames &&
+      typeof memberPath === "string" &&
+      !instanceNames.includes(first) &&
+      !isStaticPath
+    ) {
+      report(
+        `${capitalize(key)} '${memberPath}' in ${description} does not start with an instance name (${instanceNames.join(", ")})`,
+        node,
+        key,
+      );
+    }
+  };
+
+  /**
+   * Checks the constructor (or factory) settings of a class or factory case; module cases
+   * run against the module and take none
+   * @param {Object} doc - Case document
+   * @param {string} mode - Mode of the case's suite ("class", "factory" or "module")
+   */
+  const checkSubjectSettings = (doc, mode) => {
+    const description = `case '${doc.case}'`;
+    if (mode === "module") {
+      for (const key of subjectKeys.filter((subjectKey) => subjectKey in doc)) {
+        report(
+          `'${key}' does not apply to module suites, which run against the module itself`,
+          doc,
+          key,
+        );
+      }
+      return;
+    }
+    const wrongArgsKey = mode === "factory" ? "constructorArgs" : "factoryArgs";
+    if (wrongArgsKey in doc) {
+      report(
+        `'${wrongArgsKey}' does not apply to ${mode} suites; use '${mode === "factory" ? "factoryArgs" : "constructorArgs"}'`,
+        doc,
+        wrongArgsKey,
+      );
+    }
+    if ("constructorThrows" in doc) {
+      if ("instances" in doc) {
+        report(
+          `${capitalize(description)} cannot combine 'constructorThrows' with 'instances'`,
+          doc,
+          "constructorThrows",
+        );
+      }
+      if (Array.isArray(doc.executions) && doc.executions.length > 0) {
+        report(
+          `${capitalize(description)} expects the constructor to throw, so it cannot have executions`,
+          doc,
+          "executions",
+        );
+      }
+    }
+    if (isPlainObject(doc.instances)) {
+      for (const [instanceName, args] of Object.entries(doc.instances)) {
+        if (!Array.isArray(args) && !isFilledInLater(args)) {
+          report(
+            `Expected the arguments of instance '${instanceName}' in ${description} to be a list`,
+            doc.instances,
+            instanceName,
+          );
+        }
+      }
+    }
+  };
+
+  /**
+   * Checks the executions of a class, factory or module case and their assertions
+   * @param {Object[]} executions - Execution entries
+   * @param {Object} target - What the case runs against (see checkMemberPath)
+   */
+  const checkExecutions = (executions, target) => {
+    executions.forEach((execution, index) => {
+      const description = `execution ${index + 1}`;
+      if (!checkKeys(execution, schemas.execution, description, [executions])) {
+        return;
+      }
+      const isClockStep =
+        "advanceTime" in execution || "runAllTimers" in execution;
+      if (isClockStep && "method" in execution) {
+        report(
+          `${capitalize(description)} combines 'method' with a clock step; use a separate execution for each`,
+          execution,
+          "method",
+        );
+      } else if (!isClockStep && typeof execution.method !== "string") {
+        report(`Missing 'method' in ${description}`, execution);
+      }
+      if (isClockStep) {
+        for (const key of methodOnlyKeys.filter(
+          (methodKey) => methodKey in execution,
+        )) {
+          report(`'${key}' in ${description} needs a 'method'`, execution, key);
+        }
+      } else {
+        checkMemberPath(
+          execution.method,
+          target,
+          execution,
+          "method",
+          description,
+        );
+      }
+      checkErrorExpectations(execution, description);
+      checkSavePaths(execution, description, ["result", "instance"]);
+      checkIteration(execution, description);
+      (Array.isArray(execution.asserts) ? execution.asserts : []).forEach(
+        (assertion, assertIndex) => {
+          const assertDescription = `assertion ${assertIndex + 1} of ${description}`;
+          if (
+            !checkKeys(assertion, schemas.assertion, assertDescription, [
+              execution,
+              "asserts",
+            ])
+          ) {
+            return;
+          }
+          if (!assertion.property && !assertion.method) {
+            report(
+              `Missing 'property' or 'method' in ${assertDescription}`,
+              assertion,
+            );
+          }
+          for (const key of ["property", "method"].filter(
+            (memberKey) => memberKey in assertion,
+          )) {
+            checkMemberPath(
+              assertion[key],
+              target,
+              assertion,
+              key,
+              assertDescription,
+            );
+          }
+          checkErrorExpectations(assertion, assertDescription);
+          try {
+            validateAssertion(assertion);
+          } catch (error) {
+            report(error.message, assertion, "op");
+          }
+        },
+      );
+    });
+  };
+
+  /**
+   * Checks the rows of an `each:` table: each row is a list or a mapping
+   * @param {Object} doc - Case document with an `each` list
+   */
+  const checkEachRows = (doc) => {
+    if (doc.each.length === 0) {
+      report(`Table 'each' of case '${doc.case}' has no rows`, doc, "each");
+    }
+    doc.each.forEach((row, index) => {
+      if (!Array.isArray(row) && !isPlainObject(row)) {
+        report(
+          `Expected row ${index + 1} of 'each' in case '${doc.case}' to be a list or a mapping`,
+          doc,
+          "each",
+        );
+      }
+    });
+  };
+
+  for (const doc of docs) {
+    documentNumber++;
+    currentDocument = doc;
+    if (doc === null || doc === undefined) {
+      continue;
+    }
+    if (!isPlainObject(doc)) {
+      report("Expected a config, suite or case document (a mapping)", doc);
+      continue;
+    }
+
+    const isSuite = "suite" in doc;
+    const isCase = "case" in doc;
+
+    // The first document is the config document unless it is clearly a suite or case
+    if ("file" in doc || (documentNumber === 1 && !isSuite && !isCase)) {
+      hasConfigDocument = true;
+      checkKeys(doc, schemas.config, "config document");
+      if (typeof doc.file !== "string") {
+        report("Config document is missing 'file'", doc);
+      }
+      checkMocks(doc.mocks);
+      checkClock(doc);
+    } else if (isSuite) {
+      currentSuite = doc;
+      checkKeys(doc, schemas.suite, "suite document");
+      if (doc.mode !== undefined && !suiteModes.includes(doc.mode)) {
+        report(
+          `Unknown suite mode '${doc.mode}'. Supported modes: ${suiteModes.join(", ")}`,
+          doc,
+          "mode",
+        );
+      }
+      if (doc.mode === "module") {
+        for (const key of ["exportName", "constructorArgs"].filter(
+          (suiteKey) => suiteKey in doc,
+        )) {
+          report(
+            `'${key}' does not apply to module suites, which run against the module itself`,
+            doc,
+            key,
+          );
+        }
+      }
+      if ("factoryArgs" in doc && doc.mode !== "factory") {
+        report(
+          "'factoryArgs' requires 'mode: factory' (class suites take 'constructorArgs')",
+          doc,
+          "factoryArgs",
+        );
+      }
+      checkMocks(doc.mocks);
+      checkClock(doc);
+    } else if (isCase) {
+      if (!currentSuite) {
+        report(`Case '${doc.case}' appears before any suite document`, doc);
+        continue;
+      }
+      // Factory and module cases run executions against an object, like class cases
+      const isClassCase = suiteModes.includes(currentSuite.mode);
+      const schema = isClassCase ? schemas.classCase : schemas.functionCase;
+      inEachCase = Array.isArray(doc.each);
+      if (checkKeys(doc, schema, `case '${doc.case}'`)) {
+        checkErrorExpectations(doc, `case '${doc.case}'`);
+        checkSavePaths(doc, `case '${doc.case}'`, ["result"]);
+        checkIteration(doc, `case '${doc.case}'`);
+      }
+      if (Array.isArray(doc.each)) {
+        checkEachRows(doc);
+      }
+      if (isClassCase) {
+        checkSubjectSettings(doc, currentSuite.mode);
+      }
+      if (isClassCase && Array.isArray(doc.executions)) {
+        checkExecutions(doc.executions, {
+          mode: currentSuite.mode,
+          className:
+            currentSuite.mode === "class"
+              ? (currentSuite.exportName ?? currentSuite.suite)
+              : undefined,
+          instanceNames: isPlainObject(doc.instances)
+            ? Object.keys(doc.instances)
+            : null,
+        });
+      }
+      checkMocks(doc.mocks);
+      checkClock(doc);
+      inEachCase = false;
+    } else {
+      report(
+        "Document is neither a config ('file'), suite ('suite') nor case ('case') document",
+        doc,
+      );
+    }
+  }
+
+  // A spec starting directly with a suite or case never names the module under test
+  const firstIndex = docs.findIndex((doc) => doc !== null && doc !== undefined);
+  if (!hasConfigDocument && firstIndex !== -1) {
+    documentNumber = firstIndex + 1;
+    report("Config document is missing 'file'", docs[firstIndex]);
+  }
+
+  return issues;
+};
+
+/**
+ * Validates spec documents and throws a single error listing every issue
+ * @param {any[]} docs - Flattened YAML documents
+ * @throws {Error} When at least one document is invalid
+ */
+export const assertValidDocuments = (docs) => {
+  const issues = validateDocuments(docs);
+  if (issues.length > 0) {
+    throw new Error(
+      `Invalid spec (${issues.length} issue${issues.length === 1 ? "" : "s"}):\n${issues
+        .map((issue) => `  - ${issue}`)
+        .join("\n")}`,
+    );
+  }
+};
@@ -0,0 +1,89 @@
+import { expect, test, describe } from "vitest";
+
+import {
+  findClass,
+  resolveClass,
+  runAssertion,
+  toRegExp,
+  validateAssertion,
+} from "../src/assertions.js";
+import { parseYamlDocuments } from "../src/puty.js";
+
+describe("toRegExp", () => {
+  test("should parse regex literals with flags", () => {
+    expect(toRegExp("/^id-\\d+$/i")).toEqual(/^id-\d+$/i);
+  });
+
+  test("should treat other strings as a pattern", () => {
+    expect(toRegExp("^id-")).toEqual(/^id-/);
+  });
+});
+
+describe("findClass", () => {
+  test("should look in the module before the global scope", () => {
+    class TypeError {}
+    expect(findClass("TypeError", { TypeError })).toBe(TypeError);
+    expect(findClass("RangeError", {})).toBe(RangeError);
+  });
+
+  test("should return null where resolveClass throws", () => {
+    expect(
+      findClass("NotFoundError", { NotFoundError: "no class" }),
+    ).toBeNull();
+    expect(() => resolveClass("NotFoundError")).toThrow(
+      "Class 'NotFoundError' not found in module under test or global scope",
+    );
+  });
+});
+
+describe("runAssertion", () => {
+  test("should default to eq", () => {
+    expect(() => runAssertion(1, { value: 1 }, { label: "x" })).not.toThrow();
+    expect(() => runAssertion(1, { value: 2 }, { label: "x" })).toThrow();
+  });
+
+  test("should report failing operators with the label", () => {
+    expect(() =>
+      runAssertion(3, { op: "gt", value: 5 }, { label: "property 'count'" }),
+    ).toThrow("property 'count'");
+  });
+
+  test("should resolve instanceOf classes from the module", () => {
+    class Custom {}
+    expect(() =>
+      runAssertion(
+        new Custom(),
+        { op: "instanceOf", value: "Custom" },
+        { label: "x", module: { Custom } },
+      ),
+    ).not.toThrow();
+  });
+});
+
+describe("validateAssertion", () => {
+  test("should reject unknown operators", () => {
+    expect(() => validateAssertion({ op: "bigger" })).toThrow(
+      "Unknown assertion operator 'bigger'",
+    );
+  });
+
+  test("should reject unknown operators at parse time", () => {
+    const yamlContent = `file: './counter.js'
+group: counter
+---
+suite: Counter
+mode: class
+---
+case: typo in operator
+executions:
+  - method: increment
+    asserts:
+      - property: count
+        op: equals
+        value: 1`;
+
+    expect(() => parseYamlDocuments(yamlContent)).toThrow(
+      "Unknown assertion operator 'equals'. Supported operators: eq, neq",
+    );
+  });
+});
@@ -0,0 +1,68 @@
+import { expect, test, describe, afterEach } from "vitest";
+
+import {
+  mergeClockSettings,
+  startClock,
+  stopClock,
+  runClockStep,
+  runTimersUntilSettled,
+} from "../src/clock.js";
+
+describe("mergeClockSettings", () => {
+  test("lets inner levels override outer ones", () => {
+    expect(
+      mergeClockSettings({ now: 0 }, undefined, { fakeTimers: false }),
+    ).toEqual({ now: 0, fakeTimers: false });
+  });
+
+  test("returns null when no level sets a clock", () => {
+    expect(mergeClockSettings(undefined, undefined)).toBeNull();
+  });
+});
+
+describe("clock", () => {
+  afterEach(() => stopClock());
+
+  test("fixes the time and advances fake timers", async () => {
+    startClock({ now: "2024-01-01T00:00:00Z" });
+    const fired = [];
+    setTimeout(() => fired.push(new Date().toISOString()), 1000);
+
+    await runClockStep({ advanceTime: 999 });
+    expect(fired).toEqual([]);
+    await runClockStep({ advanceTime: 1 });
+    expect(fired).toEqual(["2024-01-01T00:00:01.000Z"]);
+  });
+
+  test("fixes only the date without fake timers", async () => {
+    startClock({ now: 0, fakeTimers: false });
+    expect(Date.now()).toBe(0);
+    await expect(runClockStep({ runAllTimers: true })).rejects.toThrow(
+      "Clock steps need fake timers",
+    );
+    stopClock();
+    expect(Date.now()).toBeGreaterThan(0);
+  });
+
+  test("runs the fake timers an awaited promise waits for", async () => {
+    startClock({ now: 0 });
+    const wait = async () => {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      return Date.now();
+    };
+
+    await expect(runTimersUntilSettled(wait())).resolves.toBe(150);
+  });
+
+  test("leaves the timers of a settled promise pending", async () => {
+    startClock({ now: 0 });
+    const fired = [];
+    setTimeout(() => fired.push("late"), 1000);
+
+    await expect(
+      runTimersUntilSettled(Promise.reject(new Error("failed"))),
+    ).rejects.toThrow("failed");
+    expect(fired).toEqual([]);
+  });
+});
@@ -0,0 +1,59 @@
+import { expect, test, describe } from "vitest";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { collectSpecFiles, globToRegExp } from "../src/utils.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const examplesDir = path.join(__dirname, "..", "examples");
+const extensions = [".test.yaml", ".test.yml", ".spec.yaml", ".spec.yml"];
+
+describe("globToRegExp", () => {
+  test("matches single segments with * and ?", () => {
+    const matcher = globToRegExp("specs/*.test.yaml");
+    expect(matcher.test("specs/math.test.yaml")).toBe(true);
+    expect(matcher.test("specs/nested/math.test.yaml")).toBe(false);
+    expect(globToRegExp("v?.yaml").test("v1.yaml")).toBe(true);
+  });
+
+  test("matches any number of directories with **/", () => {
+    const matcher = globToRegExp("specs/**/*.test.yaml");
+    expect(matcher.test("specs/math.test.yaml")).toBe(true);
+    expect(matcher.test("specs/a/b/math.test.yaml")).toBe(true);
+    expect(matcher.test("other/math.test.yaml")).toBe(false);
+  });
+
+  test("supports alternatives and escapes regex characters", () => {
+    const matcher = globToRegExp("*.{test,spec}.yaml");
+    expect(matcher.test("math.test.yaml")).toBe(true);
+    expect(matcher.test("math.spec.yaml")).toBe(true);
+    expect(matcher.test("math-test.yaml")).toBe(false);
+  });
+});
+
+describe("collectSpecFiles", () => {
+  test("searches directories for spec files", () => {
+    const files = collectSpecFiles(examplesDir, extensions);
+    expect(files).toContain(path.join(examplesDir, "math.test.yaml"));
+    expect(files.every((file) => file.endsWith(".test.yaml"))).toBe(true);
+  });
+
+  test("accepts spec files and glob patterns without duplicates", () => {
+    const mathSpec = path.join(examplesDir, "math.test.yaml");
+    const files = collectSpecFiles(
+      [mathSpec, path.join(examplesDir, "math*.test.yaml")],
+      extensions,
+    );
+    expect(files.map((file) => path.basename(file)).sort()).toEqual([
+      "math.test.yaml",
+      "mathClass.test.yaml",
+    ]);
+  });
+
+  test("throws for paths that do not exist", () => {
+    expect(() =>
+      collectSpecFiles(path.join(examplesDir, "missing"), extensions),
+    ).toThrow("Spec path not found");
+  });
+});
@@ -0,0 +1,110 @@
+import { expect, test, describe } from "vitest";
+
+import {
+  assertError,
+  createError,
+  describeErrorExpectation,
+} from "../src/errors.js";
+
+class NotFoundError extends Error {}
+
+const module = { NotFoundError };
+
+describe("assertError", () => {
+  test("matches message substrings and patterns", () => {
+    const error = new Error("User 7 not found");
+    expect(() => assertError(error, "not found")).not.toThrow();
+    expect(() => assertError(error, /^User \d+/)).not.toThrow();
+    expect(() => assertError(error, "missing")).toThrow();
+  });
+
+  test("matches type, message, code and props", () => {
+    const error = new RangeError("Invalid port 'http'");
+    error.code = "EPORT";
+    error.input = "http";
+
+    expect(() =>
+      assertError(error, {
+        type: "RangeError",
+        message: "Invalid port",
+        code: "EPORT",
+        props: { input: "http" },
+      }),
+    ).not.toThrow();
+    expect(() => assertError(error, { type: "TypeError" })).toThrow(
+      "error type",
+    );
+    expect(() => assertError(error, { code: "EOTHER" })).toThrow("error code");
+    expect(() => assertError(error, { props: { input: "ftp" } })).toThrow(
+      "error properties",
+    );
+  });
+
+  test("resolves types from the module and falls back to the error name", () => {
+    const named = new Error("timeout");
+    named.name = "DatabaseError";
+
+    expect(() =>
+      assertError(
+        new NotFoundError("x"),
+        { type: "NotFoundError" },
+        { module },
+      ),
+    ).not.toThrow();
+    expect(() => assertError(named, { type: "DatabaseError" })).not.toThrow();
+  });
+
+  test("checks the cause recursively", () => {
+    const error = new Error("wrapped", { cause: new TypeError("inner") });
+    expect(() =>
+      assertError(error, { cause: { type: "TypeError", message: "inner" } }),
+    ).not.toThrow();
+    expect(() => assertError(new Error("plain"), { cause: "inner" })).toThrow(
+      "error cause",
+    );
+  });
+});
+
+describe("createError", () => {
+  test("creates plain errors from messages", () => {
+    const error = createError("boom");
+    expect(error).toBeInstanceOf(Error);
+    expect(error.message).toBe("boom");
+  });
+
+  test("creates module or global error classes with code, props and cause", () => {
+    const error = createError(
+      {
+        type: "NotFoundError",
+        message: "no user",
+        code: "ENOUSER",
+        props: { status: 404 },
+        cause: { type: "TypeError", message: "inner" },
+      },
+      module,
+    );
+    expect(error).toBeInstanceOf(NotFoundError);
+    expect(error).toMatchObject({
+      message: "no user",
+      code: "ENOUSER",
+      status: 404,
+    });
+    expect(error.cause).toBeInstanceOf(TypeError);
+  });
+
+  test("names a plain Error after unknown types", () => {
+    const error = createError({ type: "DatabaseError", message: "timeout" });
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe("DatabaseError");
+  });
+});
+
+describe("describeErrorExpectation", () => {
+  test("describes messages and structured expectations", () => {
+    expect(describeErrorExpectation("boom")).toBe("boom");
+    expect(
+      describeErrorExpectation({ type: "RangeError", message: "bad", code: 1 }),
+    ).toBe("RangeError: bad (code 1)");
+    expect(describeErrorExpectation({})).toBe("an error");
+  });
+});
@@ -0,0 +1,76 @@
+import { expect, test, describe } from "vitest";
+
+import {
+  deepMerge,
+  mergeFixtures,
+  resolveFixtureReferences,
+} from "../src/fixtures.js";
+import { processMockReferences } from "../src/mockResolver.js";
+
+describe("deepMerge", () => {
+  test("merges mappings and replaces other values", () => {
+    const base = { name: "Ada", tags: ["a"], address: { city: "London" } };
+    expect(deepMerge(base, { tags: ["b"], address: { zip: "N1" } })).toEqual({
+      name: "Ada",
+      tags: ["b"],
+      address: { city: "London", zip: "N1" },
+    });
+    expect(base.address).toEqual({ city: "London" });
+  });
+});
+
+describe("mergeFixtures", () => {
+  test("lets inner levels override outer ones and expands references", () => {
+    const fixtures = mergeFixtures(
+      { user: { name: "Ada" }, role: "user" },
+      { admin: { $merge: ["$ref:user", { role: "$ref:role" }] } },
+      { role: "admin" },
+    );
+    expect(fixtures.admin).toEqual({ name: "Ada", role: "admin" });
+  });
+
+  test("reports cycles between fixtures", () => {
+    expect(() => mergeFixtures({ a: "$ref:b", b: ["$ref:a"] })).toThrow(
+      "Fixtures reference each other in a cycle: a -> b -> a",
+    );
+  });
+});
+
+describe("resolveFixtureReferences", () => {
+  const fixtures = { user: { name: "Ada", roles: ["admin"] } };
+
+  test("resolves paths into fixtures and returns copies", () => {
+    const resolved = resolveFixtureReferences(
+      ["$ref:user.roles.0", "$ref:user"],
+      fixtures,
+    );
+    expect(resolved).toEqual(["admin", { name: "Ada", roles: ["admin"] }]);
+    resolved[1].roles.push("owner");
+    expect(fixtures.user.roles).toEqual(["admin"]);
+  });
+
+  test("reports unknown fixtures and paths", () => {
+    expect(() => resolveFixtureReferences("$ref:usr", fixtures)).toThrow(
+      "Fixture 'usr' is not defined (referenced as '$ref:usr')",
+    );
+    expect(() =>
+      resolveFixtureReferences("$ref:user.address.city", fixtures),
+    ).toThrow(
+      "Fixture reference '$ref:user.address.city' does not resolve: 'user' has no 'address'",
+    );
+    expect(() =>
+      resolveFixtureReferences({ $merge: ["$ref:user.name"] }, fixtures),
+    ).toThrow("Every entry of '$merge' must be a mapping");
+  });
+
+  test("are resolved alongside mock references", () => {
+    const log = () => {};
+    expect(
+      processMockReferences(
+        ["$ref:handler"],
+        { log: { mockFunction: log } },
+        { handler: { onError: "$mock:log" } },
+      ),
+    ).toEqual([{ onError: log }]);
+  });
+});
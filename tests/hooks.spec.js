@@ -0,0 +1,71 @@
+import { expect, test, describe } from "vitest";
+
+import { runHooks } from "../src/hooks.js";
+import { resolveRuntimeReferences } from "../src/references.js";
+
+describe("runHooks", () => {
+  test("should run hooks in order and save results with as", async () => {
+    const calls = [];
+    const hooks = {
+      createStore: (name) => ({ name, items: [] }),
+      track: (store) => calls.push(store.name),
+    };
+    const scope = {};
+
+    await runHooks(
+      [
+        { call: "createStore", in: ["main"], as: "store" },
+        { call: "track", in: ["$setup:store"] },
+      ],
+      scope,
+      { hooks },
+    );
+
+    expect(scope.store).toEqual({ name: "main", items: [] });
+    expect(calls).toEqual(["main"]);
+  });
+
+  test("should fall back to the module under test", async () => {
+    const scope = {};
+    await runHooks([{ call: "now", as: "time" }], scope, {
+      hooks: {},
+      module: { now: async () => 42 },
+    });
+    expect(scope.time).toBe(42);
+  });
+
+  test("should fail for unknown hooks", async () => {
+    await expect(runHooks(["missing"], {}, { module: {} })).rejects.toThrow(
+      "Hook 'missing' not found in hooks module or module under test",
+    );
+  });
+});
+
+describe("resolveRuntimeReferences", () => {
+  test("should resolve nested values and paths", () => {
+    const scope = Object.create({ dir: "/tmp/a" });
+    scope.user = { profile: { name: "Ada" } };
+
+    expect(
+      resolveRuntimeReferences(
+        { in: ["$setup:dir", "$setup:user.profile.name"], keep: "$mock:x" },
+        { setup: scope },
+      ),
+    ).toEqual({ in: ["/tmp/a", "Ada"], keep: "$mock:x" });
+  });
+
+  test("should resolve saved variables", () => {
+    expect(
+      resolveRuntimeReferences(["$var:userId", "$var:user.name"], {
+        setup: {},
+        var: { userId: 7, user: { name: "Ada" } },
+      }),
+    ).toEqual([7, "Ada"]);
+  });
+
+  test("should fail for undefined references", () => {
+    expect(() =>
+      resolveRuntimeReferences(["$setup:missing"], { setup: {} }),
+    ).toThrow("Reference '$setup:missing' is not defined");
+  });
+});
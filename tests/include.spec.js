@@ -1,7 +1,9 @@
 import { expect, test, describe } from "vitest";
 import path from "node:path";
 import fs from "node:fs";
+import { execFile } from "node:child_process";
 import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
 
 import { loadYamlWithPath, parseWithIncludes } from "../src/utils.js";
 
@@ -289,4 +291,21 @@ describe("parseWithIncludes", () => {
       parseWithIncludes(filePath);
     }).toThrow(/Circular dependency detected/);
   });
+
+  test("should parse outside of vitest", async () => {
+    const filePath = path.join(__dirname, "fixtures/include-basic/main.yaml");
+    const utilsUrl = new URL("../src/utils.js", import.meta.url).href;
+    const script = `
+      const { parseWithIncludes } = await import(${JSON.stringify(utilsUrl)});
+      const config = parseWithIncludes(${JSON.stringify(filePath)});
+      console.log(JSON.stringify(config.suites[0].cases.map((c) => c.name)));
+    `;
+
+    const { stdout } = await promisify(execFile)(
+      process.execPath,
+      ["--input-type=module", "-e", script],
+      { timeout: 30000 },
+    );
+    expect(JSON.parse(stdout)).toEqual(["add 1 and 2", "add 5 and 7"]);
+  });
 });
@@ -0,0 +1,65 @@
+import { expect, test } from "vitest";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "..");
+
+/**
+ * Lays out a project with puty installed in node_modules, as a package manager would,
+ * and the module mock example as its specs
+ * @returns {string} Directory of the project
+ */
+const createInstalledProject = () => {
+  const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), "puty-installed-"));
+  const puty = path.join(projectDir, "node_modules", "puty");
+  fs.mkdirSync(puty, { recursive: true });
+  fs.cpSync(path.join(rootDir, "src"), path.join(puty, "src"), {
+    recursive: true,
+  });
+  fs.copyFileSync(
+    path.join(rootDir, "package.json"),
+    path.join(puty, "package.json"),
+  );
+  for (const dependency of ["vitest", "js-yaml"]) {
+    fs.symlinkSync(
+      path.join(rootDir, "node_modules", dependency),
+      path.join(projectDir, "node_modules", dependency),
+    );
+  }
+  fs.writeFileSync(
+    path.join(projectDir, "package.json"),
+    JSON.stringify({ type: "module" }),
+  );
+  const specsDir = path.join(projectDir, "specs");
+  fs.mkdirSync(specsDir);
+  for (const file of ["user-service.js", "user-service.test.yaml", "db.js"]) {
+    fs.copyFileSync(
+      path.join(rootDir, "examples", file),
+      path.join(specsDir, file),
+    );
+  }
+  return projectDir;
+};
+
+test("applies module mocks when puty runs from node_modules", async () => {
+  const projectDir = createInstalledProject();
+  // The nested vitest run must not see the variables of the one running this test
+  const env = Object.fromEntries(
+    Object.entries(process.env).filter(([name]) => !name.startsWith("VITEST")),
+  );
+  try {
+    const { stdout } = await promisify(execFile)(
+      process.execPath,
+      [path.join("node_modules", "puty", "src", "cli.js"), "specs"],
+      { cwd: projectDir, env: { ...env, CI: "1" }, timeout: 60000 },
+    );
+    expect(stdout).toContain("3 passed");
+  } finally {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  }
+}, 60000);
@@ -0,0 +1,119 @@
+import { expect, test, describe } from "vitest";
+
+import {
+  collectIterable,
+  stepIterator,
+  consumeResult,
+} from "../src/iterators.js";
+
+function* countTo(limit, log = []) {
+  try {
+    for (let value = 1; value <= limit; value++) {
+      yield value;
+    }
+  } finally {
+    log.push("closed");
+  }
+}
+
+async function* countAsync(limit) {
+  for (let value = 1; value <= limit; value++) {
+    await Promise.resolve();
+    yield value;
+  }
+}
+
+function* accumulate() {
+  let total = 0;
+  while (true) {
+    total += (yield total) ?? 0;
+  }
+}
+
+describe("collectIterable", () => {
+  test("drains sync iterables synchronously", () => {
+    expect(collectIterable(countTo(3))).toEqual([1, 2, 3]);
+    expect(collectIterable(new Set(["a", "b"]))).toEqual(["a", "b"]);
+  });
+
+  test("stops after take values and closes the iterator", () => {
+    const log = [];
+    expect(collectIterable(countTo(Infinity, log), 2)).toEqual([1, 2]);
+    expect(log).toEqual(["closed"]);
+    expect(collectIterable(countTo(3), 0)).toEqual([]);
+  });
+
+  test("drains async iterables and promises of iterables", async () => {
+    await expect(collectIterable(countAsync(3))).resolves.toEqual([1, 2, 3]);
+    await expect(collectIterable(countAsync(5), 2)).resolves.toEqual([1, 2]);
+    await expect(collectIterable(Promise.resolve([4, 5]))).resolves.toEqual([
+      4, 5,
+    ]);
+  });
+
+  test("throws errors of sync iteration and rejects with errors of async iteration", async () => {
+    function* failing() {
+      yield 1;
+      throw new Error("broken");
+    }
+    async function* failingAsync() {
+      yield 1;
+      throw new Error("broken async");
+    }
+
+    expect(() => collectIterable(failing())).toThrow("broken");
+    await expect(collectIterable(failingAsync())).rejects.toThrow(
+      "broken async",
+    );
+  });
+
+  test("rejects values that are not iterable", () => {
+    expect(() => collectIterable({ count: 2 })).toThrow(
+      'Expected an iterable to iterate but got {"count":2}',
+    );
+  });
+});
+
+describe("stepIterator", () => {
+  test("passes each value to next() and collects the results", () => {
+    expect(stepIterator(accumulate(), [undefined, 2, 3])).toEqual([0, 2, 5]);
+  });
+
+  test("produces the final value after the iterator finished", () => {
+    expect(stepIterator(countTo(1), [null, null, null])).toEqual([
+      1,
+      undefined,
+      undefined,
+    ]);
+  });
+
+  test("steps async iterators one after the other", async () => {
+    await expect(stepIterator(countAsync(3), [null, null])).resolves.toEqual([
+      1, 2,
+    ]);
+  });
+
+  test("steps the iterator of an iterable", () => {
+    expect(stepIterator(["a", "b"], [null])).toEqual(["a"]);
+  });
+
+  test("rejects values that cannot be stepped", () => {
+    expect(() => stepIterator(42, [null])).toThrow(
+      "Expected an iterator to step with 'next' but got 42",
+    );
+  });
+});
+
+describe("consumeResult", () => {
+  test("returns the value unchanged without iterate or next", () => {
+    const iterator = countTo(2);
+    expect(consumeResult(iterator, {})).toBe(iterator);
+  });
+
+  test("drains with iterate and steps with next", () => {
+    expect(consumeResult(countTo(5), { iterate: true, take: 3 })).toEqual([
+      1, 2, 3,
+    ]);
+    expect(consumeResult(accumulate(), { next: [null, 4] })).toEqual([0, 4]);
+  });
+});
@@ -0,0 +1,54 @@
+import { expect, test, describe } from "vitest";
+import yaml from "js-yaml";
+
+import { formatValue, isMatcher, matcherTypes } from "../src/matchers.js";
+
+const schema = yaml.DEFAULT_SCHEMA.extend(matcherTypes);
+const load = (content) => yaml.load(content, { schema });
+
+describe("matcherTypes", () => {
+  test("should build matchers usable with toEqual", () => {
+    const expected = load(`
+id: !match /^id-\\d+$/
+name: !any String
+meta: !objectContaining { role: admin }
+tags: !arrayContaining [b]
+ratio: !closeTo [3.14, 2]
+createdAt: !isoDate
+extra: !anything
+`);
+
+    expect({
+      id: "id-42",
+      name: "Ada",
+      meta: { role: "admin", active: true },
+      tags: ["a", "b", "c"],
+      ratio: 3.1416,
+      createdAt: "2024-01-31T10:00:00.000Z",
+      extra: 0,
+    }).toEqual(expected);
+  });
+
+  test("should reject invalid ISO dates", () => {
+    const matcher = load("!isoDate");
+    expect(matcher.asymmetricMatch("2024-01-31")).toBe(true);
+    expect(matcher.asymmetricMatch(new Date("nope"))).toBe(false);
+    expect(matcher.asymmetricMatch("31/01/2024")).toBe(false);
+  });
+
+  test("should reject unknown constructors in !any", () => {
+    expect(() => load("!any Strnig")).toThrow(
+      "!any expects a global constructor name, got 'Strnig'",
+    );
+  });
+});
+
+describe("formatValue", () => {
+  test("should print matchers by name", () => {
+    const value = load("[!any Number, !match /^a/, !isoDate , 1]");
+    expect(value.every((item) => isMatcher(item) || item === 1)).toBe(true);
+    expect(formatValue(value)).toBe(
+      '["Any<Number>","StringMatching /^a/","IsoDate",1]',
+    );
+  });
+});
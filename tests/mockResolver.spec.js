@@ -0,0 +1,294 @@
+import { expect, test, describe } from "vitest";
+
+import {
+  createMockFunction,
+  createMockFunctions,
+  validateMockCalls,
+  isMockError,
+} from "../src/mockResolver.js";
+
+describe("createMockFunction", () => {
+  test("enforces the exact ordered list of calls by default", () => {
+    const mock = createMockFunction("add", {
+      calls: [
+        { in: [1], out: 2 },
+        { in: [2], out: 3 },
+      ],
+    });
+    expect(() => mock.mockFunction(2)).toThrow(
+      "Expected add([1]) but got add([2])",
+    );
+    expect(mock.mockFunction(1)).toBe(2);
+    expect(() => mock.validate()).toThrow(
+      "Mock 'add' was called 1 time(s) but expected exactly 2 calls",
+    );
+    expect(mock.mockFunction(2)).toBe(3);
+    expect(() => mock.mockFunction(3)).toThrow(
+      "Mock 'add' was called 3 time(s) but expected exactly 2 calls",
+    );
+  });
+
+  test("returns the default value for calls beyond the script", () => {
+    const mock = createMockFunction("get", {
+      calls: [{ in: ["a"], out: 1 }],
+      returns: 0,
+    });
+    expect(mock.mockFunction("a")).toBe(1);
+    expect(mock.mockFunction("b")).toBe(0);
+    expect(mock.mockFunction("c")).toBe(0);
+    expect(() => mock.validate()).not.toThrow();
+  });
+
+  test("requires scripted calls even when a default is given", () => {
+    const mock = createMockFunction("get", {
+      calls: [{ in: ["a"], out: 1 }],
+      returns: 0,
+    });
+    expect(() => mock.validate()).toThrow(
+      "Mock 'get' was called 0 time(s) but expected at least 1 calls",
+    );
+  });
+
+  test("runs the real export of a spy unless the call scripts its result", () => {
+    const module = {
+      double: (value) => value * 2,
+    };
+    const spy = createMockFunction(
+      "double",
+      {
+        spy: "double",
+        calls: [{ in: [2] }, { in: [3], out: 0 }],
+      },
+      { module },
+    );
+    expect(spy.mockFunction(2)).toBe(4);
+    expect(spy.mockFunction(3)).toBe(0);
+    expect(() => spy.validate()).not.toThrow();
+  });
+
+  test("wraps exports of other modules and passes this through", () => {
+    const counter = {
+      step: 5,
+      next(value) {
+        return value + this.step;
+      },
+    };
+    const spy = createMockFunction(
+      "next",
+      { spy: "next", file: "./counter.js", ignoreArgs: true, minTimes: 1 },
+      { spyModules: { "./counter.js": counter } },
+    );
+    expect(spy.mockFunction.call(counter, 1)).toBe(6);
+    expect(() =>
+      createMockFunction(
+        "missing",
+        { spy: "nope", file: "./counter.js" },
+        {
+          spyModules: { "./counter.js": counter },
+        },
+      ),
+    ).toThrow(
+      "Spy 'missing' wraps 'nope', which is not a function exported by ./counter.js",
+    );
+  });
+
+  test("invokes callbacks passed to the mock", async () => {
+    const mock = createMockFunction("readFile", {
+      calls: [
+        {
+          in: ["a.txt", expect.any(Function)],
+          callArg: { index: 1, args: [null, "A"] },
+        },
+        { ignoreArgs: true, callArgAsync: { index: -1, args: ["B"] } },
+      ],
+    });
+    const received = [];
+    mock.mockFunction("a.txt", (error, data) => received.push(data));
+    mock.mockFunction("b.txt", "utf8", (data) => received.push(data));
+    expect(received).toEqual(["A"]);
+    await Promise.resolve();
+    expect(received).toEqual(["A", "B"]);
+  });
+
+  test("reports a missing callback argument", () => {
+    const mock = createMockFunction("readFile", {
+      calls: [{ in: ["a.txt"], callArg: { index: 1 } }],
+    });
+    expect(() => mock.mockFunction("a.txt")).toThrow(
+      "Mock 'readFile' expected a callback as argument 1 but got undefined",
+    );
+  });
+
+  test("checks times, minTimes and maxTimes", () => {
+    const exact = createMockFunction("log", { ignoreArgs: true, times: 2 });
+    exact.mockFunction("a");
+    expect(() => exact.validate()).toThrow("expected exactly 2 calls");
+    exact.mockFunction("b");
+    expect(() => exact.validate()).not.toThrow();
+    expect(() => exact.mockFunction("c")).toThrow(
+      "Mock 'log' was called 3 time(s) but expected exactly 2 calls",
+    );
+
+    const range = createMockFunction("log", {
+      ignoreArgs: true,
+      minTimes: 1,
+      maxTimes: 2,
+    });
+    expect(() => range.validate()).toThrow("expected between 1 and 2 calls");
+    range.mockFunction();
+    expect(() => range.validate()).not.toThrow();
+  });
+
+  test("matches calls in any order with ordered: false", () => {
+    const mock = createMockFunction("fetch", {
+      ordered: false,
+      calls: [
+        { in: ["/a"], out: "A" },
+        { in: ["/b"], out: "B" },
+      ],
+    });
+    expect(mock.mockFunction("/b")).toBe("B");
+    expect(() => mock.mockFunction("/c")).toThrow(
+      'Unexpected call fetch(["/c"]); remaining expected calls: fetch(["/a"])',
+    );
+    expect(() => mock.validate()).toThrow(
+      "Mock 'fetch' was called 1 time(s) but expected exactly 2 calls",
+    );
+    expect(mock.mockFunction("/a")).toBe("A");
+    expect(() => mock.validate()).not.toThrow();
+  });
+
+  test("repeats a scripted call and ignores arguments per call", () => {
+    const mock = createMockFunction("log", {
+      calls: [
+        { in: ["start"], repeat: 2, out: true },
+        { ignoreArgs: true, out: false },
+      ],
+    });
+    expect(mock.mockFunction("start")).toBe(true);
+    expect(mock.mockFunction("start")).toBe(true);
+    expect(mock.mockFunction("anything", 1)).toBe(false);
+    expect(() => mock.validate()).not.toThrow();
+  });
+
+  test("marks the errors of unexpected calls but not scripted ones", () => {
+    const mock = createMockFunction("load", {
+      calls: [{ in: ["a"], throws: "not found" }],
+    });
+    const caught = (fn) => {
+      try {
+        fn();
+      } catch (error) {
+        return error;
+      }
+    };
+    expect(isMockError(caught(() => mock.mockFunction("b")))).toBe(true);
+    expect(isMockError(caught(() => mock.mockFunction("a")))).toBe(false);
+  });
+});
+
+describe("validateMockCalls", () => {
+  const createMocks = () => ({
+    before: createMockFunction("before", { ignoreArgs: true, minTimes: 0 }),
+    process: createMockFunction("process", { ignoreArgs: true, minTimes: 0 }),
+    after: createMockFunction("after", { ignoreArgs: true, minTimes: 0 }),
+  });
+
+  test("accepts calls in the callOrder sequence, ignoring unlisted mocks", () => {
+    const mocks = createMocks();
+    mocks.before.mockFunction();
+    mocks.process.mockFunction();
+    mocks.after.mockFunction();
+    mocks.before.mockFunction();
+
+    expect(() =>
+      validateMockCalls(mocks, { callOrder: ["before", "after", "before"] }),
+    ).not.toThrow();
+  });
+
+  test("reports a side-by-side diff when the order differs", () => {
+    const mocks = createMocks();
+    mocks.after.mockFunction();
+    mocks.before.mockFunction();
+
+    expect(() =>
+      validateMockCalls(mocks, { callOrder: ["before", "process", "after"] }),
+    ).toThrow(
+      [
+        "Mock calls happened in a different order than callOrder:",
+        "    #  expected  actual",
+        "  ✗ 1  before    after",
+        "  ✗ 2  process   before",
+        "  ✗ 3  after     -",
+      ].join("\n"),
+    );
+  });
+
+  test("rejects callOrder entries that are not mocks of the case", () => {
+    expect(() =>
+      validateMockCalls(createMocks(), { callOrder: ["before", "log"] }),
+    ).toThrow(
+      "callOrder names mocks that are not defined for this test case: log",
+    );
+  });
+});
+
+describe("createMockFunctions", () => {
+  test("builds object mocks whose methods are validated individually", () => {
+    const { cache } = createMockFunctions({
+      cache: {
+        type: "object",
+        methods: {
+          get: { calls: [{ in: ["token"], out: "abc" }] },
+          set: { calls: [{ in: ["token", "xyz"] }] },
+        },
+        properties: { size: 1 },
+      },
+    });
+
+    expect(cache.mockFunction.size).toBe(1);
+    expect(cache.mockFunction.get("token")).toBe("abc");
+    expect(() => cache.mockFunction.set("token", "abc")).toThrow(
+      'Expected cache.set(["token","xyz"]) but got cache.set(["token","abc"])',
+    );
+    expect(() => cache.validate()).toThrow(
+      "Mock 'cache.set' was called 0 time(s) but expected exactly 1 calls",
+    );
+    expect(cache.expectedCalls).toBe(2);
+    expect(cache.actualCalls()).toBe(1);
+  });
+
+  test("builds class mocks tracking constructor calls and instance methods", () => {
+    const { Client } = createMockFunctions({
+      Client: {
+        type: "class",
+        construct: { calls: [{ in: ["https://api"] }] },
+        methods: { fetch: { calls: [{ in: ["/users"], out: [] }] } },
+        properties: { retries: 0 },
+      },
+    });
+    const MockClient = Client.mockFunction;
+
+    const client = new MockClient("https://api");
+    expect(client).toBeInstanceOf(MockClient);
+    expect(MockClient.name).toBe("Client");
+    expect(client.retries).toBe(0);
+    expect(client.fetch("/users")).toEqual([]);
+    expect(() => Client.validate()).not.toThrow();
+    expect(() => MockClient("https://api")).toThrow(
+      "Class mock 'Client' must be called with new",
+    );
+    expect(() => new MockClient("https://other")).toThrow(
+      "Mock 'new Client' was called 2 time(s) but expected exactly 1 calls",
+    );
+  });
+
+  test("allows any constructor calls when construct is omitted", () => {
+    const { Logger } = createMockFunctions({
+      Logger: { type: "class", methods: { info: { returns: undefined } } },
+    });
+    new Logger.mockFunction("app");
+    new Logger.mockFunction();
+    expect(() => Logger.validate()).not.toThrow();
+  });
+});
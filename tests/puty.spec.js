@@ -354,4 +354,224 @@ out: 3`;
     const result = parseYamlDocuments(yamlContent);
     expect(result).toEqual(expected);
   });
+
+  test("should parse rejects expectations", () => {
+    const yamlContent = `file: './async.js'
+group: async
+---
+suite: load
+---
+case: load fails
+in: []
+rejects: 'disk offline'`;
+
+    const result = parseYamlDocuments(yamlContent);
+    expect(result.suites[0].cases[0]).toEqual({
+      name: "load fails",
+      in: [],
+      out: undefined,
+      rejects: "disk offline",
+      mocks: {},
+      resolvedMocks: null,
+    });
+  });
+
+  test("should parse factory suites", () => {
+    const yamlContent = `file: './store.js'
+group: store
+---
+suite: createStore
+mode: factory
+factoryArgs: [{ maxSize: 2 }]
+---
+case: sets
+executions:
+  - method: set
+    in: [a, 1]
+    out: 1`;
+
+    const suite = parseYamlDocuments(yamlContent).suites[0];
+    expect(suite.mode).toBe("factory");
+    expect(suite.factoryArgs).toEqual([{ maxSize: 2 }]);
+    expect(suite.constructorArgs).toBeUndefined();
+    expect(suite.cases[0].executions).toEqual([
+      { method: "set", in: ["a", 1], out: 1 },
+    ]);
+    expect(suite.cases[0]).not.toHaveProperty("in");
+  });
+
+  test("should parse module suites", () => {
+    const yamlContent = `file: './tracking.js'
+group: tracking
+---
+suite: tracking
+mode: module
+---
+case: tracks
+executions:
+  - method: track
+    in: [/home]
+    out: 1`;
+
+    const suite = parseYamlDocuments(yamlContent).suites[0];
+    expect(suite.mode).toBe("module");
+    expect(suite).not.toHaveProperty("constructorArgs");
+    expect(suite.cases[0].executions).toEqual([
+      { method: "track", in: ["/home"], out: 1 },
+    ]);
+    expect(suite.cases[0]).not.toHaveProperty("in");
+  });
+
+  test("should order suites by the suites list", () => {
+    const yamlContent = `file: './math.js'
+group: math
+suites: [increment, add]
+---
+suite: add
+---
+case: add
+in: [1, 2]
+out: 3
+---
+suite: increment
+---
+case: increment
+in: [1]
+out: 2`;
+
+    const result = parseYamlDocuments(yamlContent);
+    expect(result.suites.map((suite) => suite.name)).toEqual([
+      "increment",
+      "add",
+    ]);
+  });
+
+  test("should fail when a listed suite is not defined", () => {
+    const yamlContent = `file: './math.js'
+group: math
+suites: [add, subtract]
+---
+suite: add`;
+
+    expect(() => parseYamlDocuments(yamlContent)).toThrow(
+      "Suites listed in 'suites' have no suite document: subtract",
+    );
+  });
+
+  test("should fail when a defined suite is not listed", () => {
+    const yamlContent = `file: './math.js'
+group: math
+suites: [add]
+---
+suite: add
+---
+suite: multiply`;
+
+    expect(() => parseYamlDocuments(yamlContent)).toThrow(
+      "Suites are defined but not listed in 'suites': multiply",
+    );
+  });
+
+  test("should copy skip, only and todo flags", () => {
+    const yamlContent = `file: './math.js'
+group: math
+skip: 'not ready'
+---
+suite: add
+only: true
+---
+case: add
+todo: true
+---
+case: add again
+skip: false
+in: [1, 2]
+out: 3`;
+
+    const result = parseYamlDocuments(yamlContent);
+    expect(result.skip).toBe("not ready");
+    expect(result.suites[0].only).toBe(true);
+    expect(result.suites[0].cases[0].todo).toBe(true);
+    expect(result.suites[0].cases[1]).not.toHaveProperty("skip");
+  });
+
+  test("should expand each tables into one case per row", () => {
+    const yamlContent = `file: './math.js'
+group: math
+---
+suite: add
+---
+case: add {0} and {1}
+each:
+  - [1, 2, 3]
+  - [2, 2, 4]
+in: ['{0}', '{1}']
+out: '{2}'
+---
+case: 'greets {user.name}'
+each:
+  - { user: { name: Ada }, text: 'Hi Ada' }
+in: ['{user}']
+out: '{text}'`;
+
+    const result = parseYamlDocuments(yamlContent);
+    expect(result.suites[0].cases).toEqual([
+      {
+        name: "add 1 and 2",
+        in: [1, 2],
+        out: 3,
+        mocks: {},
+        resolvedMocks: null,
+      },
+      {
+        name: "add 2 and 2",
+        in: [2, 2],
+        out: 4,
+        mocks: {},
+        resolvedMocks: null,
+      },
+      {
+        name: "greets Ada",
+        in: [{ name: "Ada" }],
+        out: "Hi Ada",
+        mocks: {},
+        resolvedMocks: null,
+      },
+    ]);
+  });
+
+  test("should fill typed fields from whole-value placeholders", () => {
+    const yamlContent = `file: './math.js'
+group: math
+---
+suite: add
+---
+case: 'add {name}'
+each:
+  - { name: one, args: [1], mocks: { log: { returns: 1 } } }
+in: '{args}'
+out: 1
+mocks: '{mocks}'`;
+
+    const [testCase] = parseYamlDocuments(yamlContent).suites[0].cases;
+    expect(testCase.name).toBe("add one");
+    expect(testCase.in).toEqual([1]);
+    expect(testCase.mocks).toEqual({ log: { returns: 1 } });
+  });
+
+  test("should fail on placeholders missing from a row", () => {
+    const yamlContent = `file: './math.js'
+group: math
+---
+suite: add
+---
+case: add {0} and {1}
+each:
+  - [1]
+in: ['{0}', '{1}']`;
+
+    expect(() => parseYamlDocuments(yamlContent)).toThrow(
+      "Placeholder '{1}' has no value in row 1 of 'each'",
+    );
+  });
 });
@@ -0,0 +1,185 @@
+import { expect, test, describe, beforeEach, afterEach } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import yaml from "js-yaml";
+
+import { createRecorder } from "../src/recorder.js";
+import { createMockFunction } from "../src/mockResolver.js";
+import { loadYamlWithPath } from "../src/utils.js";
+
+describe("createRecorder", () => {
+  let dir;
+
+  const load = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return { file, docs: [].concat(loadYamlWithPath(file)) };
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "puty-recorder-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("inserts values after the last line of a mapping, before trailing comments", () => {
+    const { file, docs } = load(
+      "a.test.yaml",
+      "case: one\nin: [1]\n# keep me\n\n---\ncase: two\nin: [2]",
+    );
+    const recorder = createRecorder();
+    recorder.record(docs[0], "out", { total: 1 });
+    recorder.record(docs[1], "throws", "boom");
+    recorder.save();
+
+    expect(fs.readFileSync(file, "utf8")).toBe(
+      "case: one\nin: [1]\nout:\n  total: 1\n# keep me\n\n---\ncase: two\nin: [2]\nthrows: boom",
+    );
+  });
+
+  test("indents nested mappings and extends flow mappings", () => {
+    const { file, docs } = load(
+      "b.test.yaml",
+      "case: one\nexecutions:\n  - method: add\nmocks:\n  m:\n    calls:\n      - { out: 2 }\n",
+    );
+    const recorder = createRecorder();
+    recorder.record(docs[0].executions[0], "out", [1]);
+    recorder.record(docs[0].mocks.m.calls[0], "in", [1, "a"]);
+    recorder.save();
+
+    expect(fs.readFileSync(file, "utf8")).toBe(
+      "case: one\nexecutions:\n  - method: add\n    out:\n      - 1\nmocks:\n  m:\n    calls:\n      - { out: 2, in: [1, a] }\n",
+    );
+  });
+
+  test("skips undefined values and values without a source location", () => {
+    const { docs } = load("c.test.yaml", "case: one\n");
+    const recorder = createRecorder();
+    expect(recorder.record(docs[0], "out", undefined)).toBe(false);
+    expect(recorder.record({ case: "one" }, "out", 1)).toBe(false);
+  });
+
+  test("refuses to write into a file changed since it was loaded", () => {
+    const { file, docs } = load("d.test.yaml", "case: one\n");
+    fs.writeFileSync(file, "case: edited\n");
+    const recorder = createRecorder();
+    recorder.record(docs[0], "out", 1);
+    expect(() => recorder.save()).toThrow("changed since it was loaded");
+  });
+});
+
+describe("createMockFunction in record mode", () => {
+  test("accepts any arguments for calls without 'in' and records them", () => {
+    const records = [];
+    const recorder = {
+      record: (node, key, value) => records.push({ node, key, value }) > 0,
+    };
+    const call = { out: 3 };
+    const mock = createMockFunction("fetch", { calls: [call] }, { recorder });
+
+    expect(mock.mockFunction("a", 1)).toBe(3);
+    expect(records).toEqual([{ node: call, key: "in", value: ["a", 1] }]);
+  });
+});
+
+describe("puty --record", () => {
+  const cliPath = path.join(
+    path.dirname(fileURLToPath(import.meta.url)),
+    "..",
+    "src",
+    "cli.js",
+  );
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "puty-record-run-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Runs the CLI in record mode on the spec directory
+   * @returns {Promise<{stdout: string}>} Output of the run; rejects when it fails
+   */
+  const runRecord = () => {
+    // The nested vitest run must not see the variables of the one running this test
+    const env = Object.fromEntries(
+      Object.entries(process.env).filter(
+        ([name]) => !name.startsWith("VITEST"),
+      ),
+    );
+    return promisify(execFile)(process.execPath, [cliPath, dir, "--record"], {
+      env: { ...env, CI: "1" },
+      timeout: 60000,
+    });
+  };
+
+  test("writes the arguments of mock calls without 'in' into the spec", async () => {
+    fs.writeFileSync(
+      path.join(dir, "calc.js"),
+      "export const double = (dep, x) => dep(x) * 2;\n",
+    );
+    const specFile = path.join(dir, "calc.test.yaml");
+    fs.writeFileSync(
+      specFile,
+      [
+        "file: './calc.js'",
+        "group: calc",
+        "---",
+        "suite: double",
+        "---",
+        "case: doubles the dependency's result",
+        "in: [$mock:dep, 5]",
+        "out: 20",
+        "mocks:",
+        "  dep:",
+        "    calls:",
+        "      - out: 10",
+        "",
+      ].join("\n"),
+    );
+
+    await runRecord();
+
+    const [, , testCase] = yaml.loadAll(fs.readFileSync(specFile, "utf8"));
+    expect(testCase.mocks.dep.calls).toEqual([{ out: 10, in: [5] }]);
+    expect(testCase).not.toHaveProperty("throws");
+  }, 60000);
+
+  test("fails instead of recording the errors of mocks called unexpectedly", async () => {
+    fs.writeFileSync(
+      path.join(dir, "calc.js"),
+      "export const double = (dep, x) => dep(x) * 2;\n",
+    );
+    const specFile = path.join(dir, "calc.test.yaml");
+    const spec = [
+      "file: './calc.js'",
+      "group: calc",
+      "---",
+      "suite: double",
+      "---",
+      "case: calls the dependency with other arguments",
+      "in: [$mock:dep, 5]",
+      "mocks:",
+      "  dep:",
+      "    calls:",
+      "      - in: [4]",
+      "        out: 10",
+      "",
+    ].join("\n");
+    fs.writeFileSync(specFile, spec);
+
+    await expect(runRecord()).rejects.toMatchObject({
+      stdout: expect.stringContaining("Expected dep([4]) but got dep([5])"),
+    });
+    expect(fs.readFileSync(specFile, "utf8")).toBe(spec);
+  }, 60000);
+});
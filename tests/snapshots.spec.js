@@ -0,0 +1,97 @@
+import { expect, test, describe, beforeEach, afterEach, vi } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+
+import { createSnapshotStore, snapshotPathFor } from "../src/snapshots.js";
+import { parseYamlDocuments } from "../src/puty.js";
+
+describe("snapshotPathFor", () => {
+  test("places the snapshot file next to the spec", () => {
+    expect(snapshotPathFor("/specs/math.test.yaml")).toBe(
+      "/specs/math.test.snap.yaml",
+    );
+    expect(snapshotPathFor("/specs/math.spec.yml")).toBe(
+      "/specs/math.spec.snap.yaml",
+    );
+  });
+});
+
+describe("createSnapshotStore", () => {
+  let dir;
+  let specFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "puty-snapshots-"));
+    specFile = path.join(dir, "config.test.yaml");
+    vi.stubEnv("CI", "");
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("writes missing snapshots and compares with them afterwards", () => {
+    const store = createSnapshotStore(specFile);
+    store.match("config > build > defaults", { port: 3000, log: () => {} });
+    store.save();
+
+    expect(fs.readFileSync(store.file, "utf8")).toBe(
+      "config > build > defaults:\n  port: 3000\n",
+    );
+
+    const next = createSnapshotStore(specFile);
+    expect(() =>
+      next.match("config > build > defaults", { port: 3000 }),
+    ).not.toThrow();
+    expect(() => next.match("config > build > defaults", { port: 80 })).toThrow(
+      "Snapshot 'config > build > defaults' mismatched",
+    );
+  });
+
+  test("does not write missing snapshots on CI", () => {
+    vi.stubEnv("CI", "true");
+    const store = createSnapshotStore(specFile);
+    expect(() => store.match("config > build > defaults", 1)).toThrow(
+      "Snapshots are not written on CI",
+    );
+  });
+
+  test("rewrites mismatched snapshots in update mode", () => {
+    fs.writeFileSync(
+      snapshotPathFor(specFile),
+      "config > build > defaults: 1\n",
+    );
+    const store = createSnapshotStore(specFile, { update: true });
+    store.match("config > build > defaults", 2);
+    store.save();
+    expect(fs.readFileSync(store.file, "utf8")).toBe(
+      "config > build > defaults: 2\n",
+    );
+  });
+});
+
+describe("parseYamlDocuments snapshots", () => {
+  test("marks cases using snapshot: true or out: !snapshot", () => {
+    const config = parseYamlDocuments(`
+file: './config.js'
+group: config
+---
+suite: build
+exportName: build
+---
+case: flag
+in: []
+snapshot: true
+---
+case: tag
+in: []
+out: !snapshot
+`);
+    const [flag, tag] = config.suites[0].cases;
+    expect(flag).toMatchObject({ snapshot: true });
+    expect(tag).toMatchObject({ snapshot: true });
+    expect("out" in tag).toBe(false);
+  });
+});
@@ -0,0 +1,432 @@
+import { expect, test, describe } from "vitest";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import { loadYamlWithPath, parseWithIncludes } from "../src/utils.js";
+import { validateDocuments } from "../src/validator.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const fixtureDir = path.join(__dirname, "fixtures/invalid-spec");
+const mainFile = path.join(fixtureDir, "main.yaml");
+const casesFile = path.join(fixtureDir, "cases.yaml");
+
+describe("validateDocuments", () => {
+  test("should report issues with file, line, column and document", () => {
+    const docs = loadYamlWithPath(mainFile).flat();
+
+    expect(validateDocuments(docs)).toEqual([
+      `${mainFile}:4:1 (document 2): Case 'orphaned case' appears before any suite document`,
+      `${mainFile}:9:1 (document 3): Unknown key 'exportname' in suite document`,
+      `${mainFile}:12:1 (document 4): Expected 'in' in case 'wrong in type' to be a list`,
+      `${mainFile}:16:5 (document 4): Unknown key 'retruns' in mock 'logger'`,
+      `${mainFile}:15:3 (document 4): Mock 'logger' has no 'calls' list`,
+      `${casesFile}:3:1 (document 1): Unknown key 'outt' in case 'included case with typo'`,
+    ]);
+  });
+
+  test("should report a missing file and unknown documents", () => {
+    expect(
+      validateDocuments([{ group: "math" }, { suit: "add" }, null]),
+    ).toEqual([
+      "document 1: Config document is missing 'file'",
+      "document 2: Document is neither a config ('file'), suite ('suite') nor case ('case') document",
+    ]);
+  });
+
+  test("should check executions, assertions and mock calls", () => {
+    const issues = validateDocuments([
+      { file: "./counter.js" },
+      { suite: "Counter", mode: "class" },
+      {
+        case: "increments",
+        executions: [
+          { in: [1], asserts: [{ op: "eq", value: 1 }] },
+          { method: "reset", output: 0 },
+        ],
+        mocks: { log: { calls: [{ in: "x" }] } },
+      },
+    ]);
+
+    expect(issues).toEqual([
+      "document 3: Missing 'method' in execution 1",
+      "document 3: Missing 'property' or 'method' in assertion 1 of execution 1",
+      "document 3: Unknown key 'output' in execution 2",
+      "document 3: Expected 'in' in call 1 of mock 'log' to be a list",
+    ]);
+  });
+
+  test("should check structured error expectations", () => {
+    const issues = validateDocuments([
+      { file: "./users.js" },
+      { suite: "load" },
+      {
+        case: "fails",
+        in: [],
+        throws: { type: "NotFoundError", mesage: "no user" },
+        mocks: {
+          find: {
+            calls: [{ in: [], rejects: { cause: { props: "x" } } }],
+          },
+        },
+      },
+    ]);
+
+    expect(issues).toEqual([
+      "document 3: Unknown key 'mesage' in 'throws' of case 'fails'",
+      "document 3: Expected 'props' in 'cause' of 'rejects' of call 1 of mock 'find' to be a mapping",
+    ]);
+  });
+
+  test("should accept mocks without calls when unscripted calls are allowed", () => {
+    const issues = validateDocuments([
+      { file: "./import.js" },
+      { suite: "importRows" },
+      {
+        case: "logs",
+        in: [],
+        mocks: {
+          log: { ignoreArgs: true, minTimes: 1 },
+          save: { returns: true },
+          fetch: { ordered: false },
+          store: { times: -1, calls: [{ in: [], repeat: 1.5 }] },
+        },
+      },
+    ]);
+
+    expect(issues).toEqual([
+      "document 3: Mock 'fetch' has no 'calls' list",
+      "document 3: Expected 'times' in mock 'store' to be a non-negative integer",
+      "document 3: Expected 'repeat' in call 1 of mock 'store' to be a non-negative integer",
+    ]);
+  });
+
+  test("should check the methods and constructor of object and class mocks", () => {
+    const issues = validateDocuments([
+      { file: "./session.js" },
+      { suite: "login" },
+      {
+        case: "stores the session",
+        in: [],
+        mocks: {
+          cache: {
+            type: "object",
+            methods: { get: { returns: null }, set: { ordered: true } },
+            construct: { calls: [] },
+          },
+          Client: {
+            type: "class",
+            construct: { calls: [{ in: [], out: 1, when: 2 }] },
+            calls: [],
+          },
+          clock: { type: "timer" },
+        },
+      },
+    ]);
+
+    expect(issues).toEqual([
+      "document 3: 'construct' of mock 'cache' requires type class",
+      "document 3: Method 'set' of mock 'cache' has no 'calls' list",
+      "document 3: Mock 'Client' has type class: script its calls under 'methods'",
+      "document 3: Unknown key 'when' in call 1 of constructor of mock 'Client'",
+      "document 3: Unknown type 'timer' for mock 'clock'. Supported types: function, object, class",
+    ]);
+  });
+
+  test("should check spy mocks", () => {
+    const issues = validateDocuments([
+      { file: "./posts.js" },
+      { suite: "createPost" },
+      {
+        case: "slugifies",
+        in: [],
+        mocks: {
+          slugify: { spy: "slugify", file: "./text.js", calls: [{ in: [] }] },
+          format: { file: "./text.js", calls: [] },
+          cache: { type: "object", spy: "cache" },
+        },
+      },
+    ]);
+
+    expect(issues).toEqual([
+      "document 3: 'file' of mock 'format' names the module of a spy and requires 'spy'",
+      "document 3: 'spy' of mock 'cache' requires type function",
+    ]);
+  });
+
+  test("should check clock settings and clock steps", () => {
+    const issues = validateDocuments([
+      { file: "./saver.js", clock: { now: "yesterday" } },
+      { suite: "AutoSaver", mode: "class", clock: { fake: true } },
+      {
+        case: "debounces",
+        executions: [
+          { method: "change", in: [1] },
+          { advanceTime: 500 },
+          { method: "flush", runAllTimers: true },
+          { advanceTime: -1 },
+        ],
+      },
+    ]);
+
+    expect(issues).toEqual([
+      "document 1: Expected 'now' in 'clock' to be a date, a date string or a timestamp in milliseconds",
+      "document 2: Unknown key 'fake' in 'clock'",
+      "document 3: Execution 3 combines 'method' with a clock step; use a separate execution for each",
+      "document 3: Expected 'advanceTime' in execution 4 to be a non-negative integer",
+    ]);
+  });
+
+  test("should check save paths", () => {
+    const issues = validateDocuments([
+      { file: "./repo.js" },
+      { suite: "nextId" },
+      { case: "saves", in: [], save: { id: "instance.id" } },
+      { suite: "Repo", mode: "class" },
+      {
+        case: "creates",
+        executions: [
+          { method: "create", in: [], save: { id: "result.id" } },
+          { method: "count", in: [], save: { size: "items.length" } },
+          { method: "clear", in: [], save: 5 },
+        ],
+      },
+    ]);
+
+    expect(issues).toEqual([
+      "document 3: Path 'instance.id' of variable 'id' in case 'saves' must start with 'result'",
+      "document 5: Path 'items.length' of variable 'size' in execution 2 must start with 'result' or 'instance'",
+      "document 5: Expected 'save' in execution 3 to be a variable name or a mapping of variable names to paths",
+    ]);
+  });
+
+  test("should check callback invocations of mock calls", () => {
+    const issues = validateDocuments([
+      { file: "./io.js" },
+      { suite: "readConfig" },
+      {
+        case: "reads",
+        in: [],
+        mocks: {
+          readFile: {
+            calls: [
+              { in: [], callArg: { index: "last" } },
+              { in: [], callArgAsync: { index: 0, arg: [] } },
+            ],
+          },
+        },
+      },
+    ]);
+
+    expect(issues).toEqual([
+      "document 3: Expected 'callArg' in call 1 of mock 'readFile' to be a { index, args } mapping with an integer index",
+      "document 3: Unknown key 'arg' in 'callArgAsync' of call 2 of mock 'readFile'",
+    ]);
+  });
+
+  test("should check factory suites", () => {
+    expect(
+      validateDocuments([
+        { file: "./store.js" },
+        { suite: "createStore", mode: "factory", factoryArgs: [{}] },
+        { case: "sets", executions: [{ method: "set", in: [1] }] },
+        { suite: "Store", mode: "class", factoryArgs: [] },
+      ]),
+    ).toEqual([
+      "document 4: 'factoryArgs' requires 'mode: factory' (class suites take 'constructorArgs')",
+    ]);
+  });
+
+  test("should check constructor settings and named instances", () => {
+    const issues = validateDocuments([
+      { file: "./accounts.js" },
+      { suite: "Account", mode: "class" },
+      {
+        case: "throws",
+        factoryArgs: [],
+        constructorThrows: { typ: "TypeError" },
+        executions: [{ method: "deposit", in: [1] }],
+      },
+      {
+        case: "transfers",
+        instances: { checking: ["Ada"], savings: "Ada" },
+        executions: [
+          {
+            method: "checking.transferTo",
+            in: ["$instance:savings", 1],
+            asserts: [{ property: "balance", value: 0 }],
+          },
+          { method: "deposit", in: [1] },
+        ],
+      },
+    ]);
+
+    expect(issues).toEqual([
+      "document 3: Unknown key 'typ' in 'constructorThrows' of case 'throws'",
+      "document 3: 'factoryArgs' does not apply to class suites; use 'constructorArgs'",
+      "document 3: Case 'throws' expects the constructor to throw, so it cannot have executions",
+      "document 4: Expected the arguments of instance 'savings' in case 'transfers' to be a list",
+      "document 4: Property 'balance' in assertion 1 of execution 1 does not start with an instance name (checking, savings)",
+      "document 4: Method 'deposit' in execution 2 does not start with an instance name (checking, savings)",
+    ]);
+  });
+
+  test("should check static members and module suites", () => {
+    const issues = validateDocuments([
+      { file: "./users.js" },
+      { suite: "User", mode: "class", exportName: "User" },
+      {
+        case: "statics",
+        instances: { ada: ["Ada"] },
+        executions: [
+          {
+            method: "User.fromJSON",
+            in: ["{}"],
+            asserts: [{ property: "count", static: true, value: 1 }],
+          },
+          { runAllTimers: true, static: true },
+        ],
+      },
+      { suite: "Member", mode: "class" },
+      {
+        case: "export name defaults to the suite name",
+        instances: { ada: ["Ada"] },
+        executions: [{ method: "Member.make", in: ["Ada"] }],
+      },
+      { suite: "tracking", mode: "module", exportName: "track" },
+      {
+        case: "tracks",
+        constructorArgs: [],
+        executions: [{ method: "track", static: true }],
+      },
+    ]);
+
+    expect(issues).toEqual([
+      "document 3: 'static' in execution 2 needs a 'method'",
+      "document 6: 'exportName' does not apply to module suites, which run against the module itself",
+      "document 7: 'constructorArgs' does not apply to module suites, which run against the module itself",
+      "document 7: 'static' in execution 1 only applies to class suites",
+    ]);
+  });
+
+  test("should check iteration settings", () => {
+    const issues = validateDocuments([
+      { file: "./iterators.js" },
+      { suite: "naturals" },
+      { case: "takes", take: 3, out: [0, 1, 2] },
+      { suite: "Tokenizer", mode: "class" },
+      {
+        case: "steps",
+        executions: [
+          { method: "lines", iterate: true, next: [null] },
+          { advanceTime: 10, next: [null] },
+          { method: "tokenize", next: "a" },
+        ],
+      },
+    ]);
+
+    expect(issues).toEqual([
+      "document 3: 'take' in case 'takes' requires 'iterate: true'",
+      "document 5: Execution 1 combines 'iterate' with 'next'; use 'iterate' to drain the iterator or 'next' to step it",
+      "document 5: 'next' in execution 2 needs a 'method'",
+      "document 5: Expected 'next' in execution 3 to be a list",
+    ]);
+  });
+
+  test("should leave whole-value placeholders of each cases to the rows", () => {
+    const issues = validateDocuments([
+      { file: "./math.js" },
+      { suite: "add" },
+      { case: "add {0}", each: [[[1, 2]]], in: "{0}", out: 3 },
+      { case: "no table", in: "{0}", out: 3 },
+      { suite: "Counter", mode: "class" },
+      {
+        case: "steps",
+        each: [{ steps: [], start: [1] }],
+        instances: { counter: "{start}" },
+        executions: "{steps}",
+      },
+    ]);
+
+    expect(issues).toEqual([
+      "document 4: Expected 'in' in case 'no table' to be a list",
+    ]);
+  });
+
+  test("should accept fixture expressions where values are expected", () => {
+    const issues = validateDocuments([
+      { file: "./calc.js" },
+      { suite: "double" },
+      {
+        case: "fixtures",
+        in: "$ref:pair",
+        out: 4,
+        mocks: {
+          dep: { calls: ["$ref:okCall", { in: "$ref:args", out: 2 }] },
+          logger: "$ref:logger",
+          fetch: { $merge: ["$ref:fetch", { calls: [] }] },
+        },
+      },
+      { suite: "Counter", mode: "class" },
+      {
+        case: "steps",
+        executions: ["$ref:increment", { method: "add", in: "$ref:args" }],
+      },
+    ]);
+
+    expect(issues).toEqual([]);
+  });
+
+  test("should locate issues of values that are not mappings", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "puty-validator-"));
+    const file = path.join(dir, "spec.yaml");
+    fs.writeFileSync(
+      file,
+      [
+        "file: ./calc.js",
+        "---",
+        "suite: double",
+        "---",
+        "case: string call",
+        "in: [1]",
+        "mocks:",
+        "  dep:",
+        "    calls:",
+        "      - oops",
+        "",
+      ].join("\n"),
+    );
+    try {
+      expect(validateDocuments(loadYamlWithPath(file).flat())).toEqual([
+        `${file}:9:5 (document 3): Expected call 1 of mock 'dep' to be a mapping`,
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test("should report a missing config document", () => {
+    expect(
+      validateDocuments([{ suite: "add" }, { case: "adds", in: [1], out: 1 }]),
+    ).toEqual(["document 1: Config document is missing 'file'"]);
+  });
+
+  test("should reject unknown suite modes", () => {
+    expect(
+      validateDocuments([{ file: "./a.js" }, { suite: "A", mode: "klass" }]),
+    ).toEqual([
+      "document 2: Unknown suite mode 'klass'. Supported modes: class, factory, module",
+    ]);
+  });
+});
+
+describe("parseWithIncludes validation", () => {
+  test("should throw one error listing every issue", () => {
+    expect(() => parseWithIncludes(mainFile)).toThrow(
+      `Invalid spec (6 issues):\n  - ${mainFile}:4:1 (document 2)`,
+    );
+  });
+});